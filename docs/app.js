@@ -1,142 +1,234 @@
-(function () {
-  const meta  = document.querySelector('#meta');
-  const tbody = document.querySelector('#tbody');
-
-  function showError(msg) {
-    console.error(msg);
-    tbody.innerHTML = `<tr><td colspan="9" class="empty error">${msg}</td></tr>`;
-    meta.textContent = 'Load failed';
+/* docs/app.js
+ * BRS — Arrivals Belt Plan (index.html). Loading, row handling and status
+ * rules come from core.js, the same as the timeline; this file only
+ * draws the table. All times are Europe/London.
+ *
+ * Refreshes every minute and diffs against the last plan: a changed
+ * belt, ETA or status is marked with the old value ("2 → 5") for
+ * CHANGE_SHOW_MS (unmarked again if it changes back), new flights slide
+ * in, flights gone from the plan or whose belt window has ended fade
+ * out.
+ */
+
+import {
+  escapeHtml,
+  hhmm,
+  isReleased,
+  loadAssignments,
+  readRows,
+  reclaimPhase,
+  rowKey,
+  sortRows,
+  statusOf,
+} from './core.js';
+
+const meta = document.querySelector('#meta');
+const tbody = document.querySelector('#tbody');
+
+const REFRESH_MS = 60 * 1000;
+const CHANGE_SHOW_MS = 5 * 60 * 1000;
+
+let shown = null;           // last plan drawn: { stamp, byKey: Map rowKey → row }
+const changes = new Map();  // rowKey → { at, belt?, eta?, status?, from } (old values)
+const finished = new Set(); // rowKeys whose belt window ended and have faded out
+
+// statusOf() kind → pill colour
+const STATUS_PILL = {
+  released: 'pill-red',
+  landed: 'pill-grey',
+  finals: 'pill-gold pulse',
+  pending: 'pill-grey',
+  early: 'pill-blue',
+  on_time: 'pill-green',
+  slight: 'pill-orange',
+  late: 'pill-red',
+};
+
+function showError(msg) {
+  tbody.innerHTML = `<tr><td colspan="9" class="empty error">${escapeHtml(msg)}</td></tr>`;
+  meta.textContent = 'Load failed';
+}
+
+// what the board shows for each watched field, compared between plans
+const WATCHED = [
+  ['belt', (r) => (isReleased(r) ? '—' : r.belt === '' ? '?' : String(r.belt))],
+  ['eta', (r) => r.eta_local || hhmm(r.eta)],
+  ['status', (r) => r.status || '—'],
+];
+
+function expireChanges(now) {
+  for (const [key, c] of changes) {
+    if (now - c.at >= CHANGE_SHOW_MS) changes.delete(key);
   }
-
-  function pad(n) {
-    return String(n).padStart(2, '0');
-  }
-
-  function hhmm(iso) {
-    if (!iso) return '';
-    const d = new Date(iso);
-    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
-  }
-
-  function escapeHtml(s) {
-    return String(s ?? '').replace(/[&<>"']/g, c => ({
-      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
-    }[c]));
-  }
-
-  function beltBadge(b) {
-    const v = (b === undefined || b === '' || b === null) ? '?' : b;
-    return `<span class="pill pill-belt">${v}</span>`;
-  }
-
-  function flowBadge(flow) {
-    return `<span class="pill pill-flow">${(flow || '').toUpperCase()}</span>`;
-  }
-
-  function timeCell(r) {
-    const etaLocal  = r.eta_local || hhmm(r.eta);
-    const schedLocal = r.scheduled_local || '';
-    if (schedLocal) {
-      return `<div class="time">
-        <span class="time-sched">${escapeHtml(schedLocal)}</span>
-        <span class="time-arrow">→</span>
-        <span class="time-eta">${escapeHtml(etaLocal || '')}</span>
-      </div>`;
+}
+
+// mark what changed since the last plan with the value it had then;
+// `from` keeps the value before the first change still on show, so a
+// field that goes back to it (2 → 5 → 2) is no longer marked
+function recordChanges(rows, now) {
+  expireChanges(now);
+  for (const r of rows) {
+    const key = rowKey(r);
+    const before = shown.byKey.get(key);
+    if (!before) continue;
+    const cur = changes.get(key);
+    const next = { ...cur, from: { ...cur?.from }, at: now };
+    let changed = false;
+    for (const [field, text] of WATCHED) {
+      const was = text(before);
+      const is = text(r);
+      if (was === is) continue;
+      changed = true;
+      next[field] = was;
+      next.from[field] ??= was;
+      if (is === next.from[field]) {
+        delete next[field];
+        delete next.from[field];
+      }
     }
-    return `<div class="time"><span class="time-eta">${escapeHtml(etaLocal || '')}</span></div>`;
+    if (!changed) continue;
+    if (WATCHED.some(([field]) => field in next)) changes.set(key, next);
+    else changes.delete(key);
   }
-
-  function statusPill(r) {
-    const text = r && r.status ? r.status : (r && r.eta_local ? `Estimated ${r.eta_local}` : '—');
-    const d = (typeof r.delay_min === 'number') ? r.delay_min : null;
-    let cls = 'pill-green';
-    if (d !== null) {
-      if (d < 0) cls = 'pill-blue';
-      else if (d >= 20) cls = 'pill-red';
-      else if (d >= 10) cls = 'pill-orange';
-      else cls = 'pill-green';
-    } else {
-      const s = String(text).toLowerCase();
-      if (s.includes('early')) cls = 'pill-blue';
-      else if (s.includes('delayed')) cls = 'pill-orange';
-      else if (s.includes('cancel')) cls = 'pill-red';
-    }
-    return `<span class="pill ${cls}">${escapeHtml(text)}</span>`;
+}
+
+const was = (old) => `<span class="was">${escapeHtml(old)} →</span> `;
+
+function beltBadge(b, tentative) {
+  const v = b === '' ? '?' : b;
+  if (tentative && v !== '?') return `<span class="pill pill-belt pill-tentative" title="Tentative: flight not live yet">${v}?</span>`;
+  return `<span class="pill pill-belt">${escapeHtml(v)}</span>`;
+}
+
+function flowBadge(flow) {
+  return `<span class="pill pill-flow">${escapeHtml((flow || '').toUpperCase())}</span>`;
+}
+
+function timeCell(r, change) {
+  const etaLocal = r.eta_local || hhmm(r.eta);
+  const schedLocal = r.scheduled_local || '';
+  const before = change?.eta !== undefined ? `<span class="was">was ${escapeHtml(change.eta || '—')}</span>` : '';
+  if (schedLocal) {
+    return `<div class="time">
+      <span class="time-sched">${escapeHtml(schedLocal)}</span>
+      <span class="time-arrow">→</span>
+      <span class="time-eta">${escapeHtml(etaLocal || '')}</span>
+    </div>${before}`;
   }
-
-  function renderRow(r) {
-    return `
-      <tr>
-        <td class="col-flight">${escapeHtml(r.flight || '')}</td>
-        <td class="col-origin">
-          <span class="origin-code">${escapeHtml((r.origin_iata || '').toUpperCase())}</span>
-          <span class="origin-name">${escapeHtml(r.origin || '')}</span>
-        </td>
-        <td class="col-time">${timeCell(r)}</td>
-        <td class="col-status">${statusPill(r)}</td>
-        <td class="col-flow">${flowBadge(r.flow || '')}</td>
-        <td class="col-belt">${beltBadge(r.belt)}</td>
-        <td class="col-start">${hhmm(r.start)}</td>
-        <td class="col-end">${hhmm(r.end)}</td>
-        <td class="col-reason">${escapeHtml(r.reason || '')}</td>
-      </tr>
-    `;
+  return `<div class="time"><span class="time-eta">${escapeHtml(etaLocal || '')}</span></div>${before}`;
+}
+
+function statusPill(r, snapshotMs, change) {
+  const { kind, text } = statusOf(r, { refMs: snapshotMs });
+  const before = change?.status !== undefined ? `<span class="was">was ${escapeHtml(change.status)}</span>` : '';
+  return `<span class="pill ${STATUS_PILL[kind]}">${escapeHtml(text)}</span>${before}`;
+}
+
+// belts blocked for maintenance (rules.json outages), current or upcoming
+function renderOutages(list) {
+  const host = document.querySelector('#outages');
+  const now = Date.now();
+  host.innerHTML = list
+    .filter(o => new Date(o.to).getTime() > now)
+    .sort((a, b) => new Date(a.from) - new Date(b.from))
+    .map(o => `<span class="outage-note">Belt ${escapeHtml(o.belt)} out of service ${hhmm(o.from)}–${hhmm(o.to)}${o.reason ? ' • ' + escapeHtml(o.reason) : ''}</span>`)
+    .join('');
+}
+
+// belt overlaps the feeder found (assignments.json conflicts); worst first
+function renderConflicts(list) {
+  const host = document.querySelector('#conflictCount');
+  if (!list.length) { host.innerHTML = ''; return; }
+  const worst = list.some(c => c.severity === 'high') ? 'pill-red'
+    : list.some(c => c.severity === 'medium') ? 'pill-orange' : 'pill-grey';
+  const tip = list.map(c => {
+    const move = c.suggested_belt != null ? ` → move ${c.suggested_flight} to ${c.suggested_belt}` : '';
+    return `Belt ${c.belt} ${hhmm(c.from)}–${hhmm(c.to)} ${c.flights.join(' / ')} (${c.severity}, ${c.overlap_min} min)${move}`;
+  }).join('\n');
+  host.innerHTML = `<span class="pill ${worst}" title="${escapeHtml(tip)}">${list.length} conflict${list.length === 1 ? '' : 's'}</span>`;
+}
+
+// `state`: '' | 'new' (slides in) | 'gone' (fades out, then removed)
+function renderRow(r, snapshotMs, state = '') {
+  const released = isReleased(r);
+  const change = state === '' ? changes.get(rowKey(r)) : undefined;
+  const cls = [
+    released ? 'released' : '',
+    change ? 'changed' : '',
+    change?.belt !== undefined ? 'belt-changed' : '',
+    state ? `row-${state}` : '',
+  ].filter(Boolean).join(' ');
+  const belt = released ? '—' : beltBadge(r.belt, r.tentative);
+  return `
+    <tr${cls ? ` class="${cls}"` : ''}>
+      <td class="col-flight">${escapeHtml(r.flight || '')}${r.codeshares.length ? `<span class="codeshares">${escapeHtml(r.codeshares.join(' '))}</span>` : ''}</td>
+      <td class="col-origin">
+        <span class="origin-code">${escapeHtml(r.origin_iata)}</span>
+        <span class="origin-name">${escapeHtml(r.origin || '')}</span>
+      </td>
+      <td class="col-time">${timeCell(r, change)}</td>
+      <td class="col-status">${statusPill(r, snapshotMs, change)}</td>
+      <td class="col-flow">${flowBadge(r.flow || '')}</td>
+      <td class="col-belt">${change?.belt !== undefined ? was(change.belt) : ''}${belt}</td>
+      <td class="col-start">${hhmm(r.start)}</td>
+      <td class="col-end">${hhmm(r.end)}</td>
+      <td class="col-reason">${escapeHtml(r.reason || '')}</td>
+    </tr>
+  `;
+}
+
+async function load() {
+  let data;
+  try {
+    data = await loadAssignments();
+  } catch (err) {
+    // keep showing the last good plan; only an empty board shows the error
+    if (!shown) showError(err.message);
+    return;
   }
 
-  async function load() {
-    // current page base, e.g. https://harrisalharis.github.io/brs-belt-alloc/
-    const base = window.location.origin + window.location.pathname.replace(/\/[^/]*$/, '/');
-
-    // we try local first, then raw GitHub (which always works for public repos)
-    const urls = [
-      base + 'assignments.json?ts=' + Date.now(),
-      base + 'docs/assignments.json?ts=' + Date.now(),
-      'https://raw.githubusercontent.com/HarrisAlharis/brs-belt-alloc/main/docs/assignments.json?ts=' + Date.now()
-    ];
-
-    let data = null;
-    let lastErr = '';
-
-    for (const url of urls) {
-      try {
-        console.log('[app] trying', url);
-        const res = await fetch(url, { cache: 'no-store' });
-        if (!res.ok) throw new Error('HTTP ' + res.status);
-        data = await res.json();
-        console.log('[app] loaded', url);
-        break;
-      } catch (err) {
-        console.warn('[app] failed', url, err);
-        lastErr = err.message;
-      }
-    }
-
-    if (!data) {
-      showError('Could not load assignments.json (' + lastErr + ')');
-      return;
-    }
-
-    const rows = Array.isArray(data.rows) ? data.rows : [];
-    meta.textContent = `Generated ${data.generated_at_local || data.generated_at_utc || ''} • Horizon ${data.horizon_minutes || ''} min`;
-
-    if (!rows.length) {
-      tbody.innerHTML = `<tr><td colspan="9" class="empty">No arrivals found for the next 3 hours.</td></tr>`;
-      return;
-    }
-
-    // sort by first available time
-    rows.sort((a, b) => {
-      const ta = a.start ? new Date(a.start).getTime()
-               : a.eta ? new Date(a.eta).getTime()
-               : Number.MAX_SAFE_INTEGER;
-      const tb = b.start ? new Date(b.start).getTime()
-               : b.eta ? new Date(b.eta).getTime()
-               : Number.MAX_SAFE_INTEGER;
-      return ta - tb;
-    });
-
-    tbody.innerHTML = rows.map(renderRow).join('');
+  // bare HH:MM values are resolved against the snapshot, not "today"
+  const snapshotMs = Date.parse(data.generated_at_utc) || Date.now();
+  meta.textContent = `Generated ${data.generated_at_local || data.generated_at_utc || ''} • Horizon ${data.horizon_minutes || ''} min`;
+  renderOutages(Array.isArray(data.outages) ? data.outages : []);
+  renderConflicts(Array.isArray(data.conflicts) ? data.conflicts : []);
+
+  const all = sortRows(readRows(data), snapshotMs);
+  const now = Date.now();
+  const stamp = data.generated_at_utc || '';
+  const fresh = shown && shown.stamp !== stamp;
+  if (fresh) recordChanges(all, now);
+  else expireChanges(now);
+
+  // belt window over: fades out once (on the first load: just left off)
+  const ended = all.filter(r => reclaimPhase(r, now) === 'done' && !finished.has(rowKey(r)));
+  for (const r of ended) finished.add(rowKey(r));
+  const fading = new Set(shown ? ended : []);
+  const rows = all.filter(r => fading.has(r) || !finished.has(rowKey(r)));
+  const keys = new Set(all.map(rowKey));
+  for (const key of finished) if (!keys.has(key)) finished.delete(key);
+
+  // only a new plan slides rows in / fades out rows it dropped
+  const byKey = new Map(all.map(r => [rowKey(r), r]));
+  const gone = fresh ? [...shown.byKey.values()].filter(r => !byKey.has(rowKey(r))) : [];
+  const added = fresh ? new Set(all.filter(r => !shown.byKey.has(rowKey(r)))) : new Set();
+  if (!shown || fresh) shown = { stamp, byKey };
+
+  const stateOf = (r) => (fading.has(r) ? 'gone' : added.has(r) ? 'new' : '');
+  if (!rows.length && !gone.length) {
+    const why = all.length ? 'Every flight has finished reclaim.' : 'No arrivals found (empty rows array).';
+    tbody.innerHTML = `<tr><td colspan="9" class="empty">${why}</td></tr>`;
+    return;
   }
-
-  window.addEventListener('DOMContentLoaded', load);
-})();
+  tbody.innerHTML =
+    rows.map(r => renderRow(r, snapshotMs, stateOf(r))).join('') +
+    gone.map(r => renderRow(r, snapshotMs, 'gone')).join('');
+}
+
+// faded-out rows leave once their animation ends
+tbody.addEventListener('animationend', (e) => {
+  if (e.target.classList?.contains('row-gone')) e.target.remove();
+});
+
+load();
+setInterval(load, REFRESH_MS);
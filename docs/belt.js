@@ -0,0 +1,161 @@
+/* docs/belt.js
+ * BRS — passenger reclaim displays, on the same assignments.json as the
+ * board and timeline (read through core.js). All times are Europe/London.
+ *
+ *   belt.html?belt=5   the screen above one carousel: the flight on it
+ *                      now, big, with "Bags arriving" / "Last bags", and
+ *                      the next flight due on it
+ *   belts.html         the reclaim hall entrance: one line per belt
+ *
+ * The phase comes from the row's belt window (core.js reclaimPhase). A
+ * belt shared by several flights rotates through them every ROTATE_MS.
+ * Tentative belts are left off: a provisional belt on a passenger screen
+ * sends people to the wrong carousel.
+ */
+
+import {
+  escapeHtml,
+  hhmm,
+  loadAssignments,
+  originCity,
+  readRows,
+  reclaimPhase,
+} from './core.js';
+
+const REFRESH_MS = 60 * 1000;
+const ROTATE_MS = 8 * 1000;
+
+const PHASE_TEXT = {
+  arriving: 'Bags arriving',
+  last_bags: 'Last bags',
+};
+
+const hall = document.querySelector('#hall');
+const clockEl = document.querySelector('#clock');
+
+let data = null; // last assignments.json that loaded
+let error = '';
+let turn = 0; // rotation step, shared by every belt on the page
+
+const wantBelt = Number(new URLSearchParams(location.search).get('belt'));
+
+// belts in rules.json order; older files without belt_rules: the rows'
+function beltsOf(doc, rows) {
+  const listed = doc?.belt_rules?.belts;
+  if (Array.isArray(listed) && listed.length) return listed.map(Number);
+  return [...new Set(rows.map((r) => r.belt).filter((b) => b !== ''))].sort(
+    (a, b) => a - b
+  );
+}
+
+/**
+ * One belt as passengers see it: `now` the flights with bags on it
+ * (by start), `next` the first one due.
+ */
+function beltState(rows, belt, nowMs) {
+  const mine = rows
+    .filter((r) => r.belt === belt && !r.tentative)
+    .map((r) => ({ r, phase: reclaimPhase(r, nowMs) }))
+    .filter((x) => x.phase && x.phase !== 'done')
+    .sort((a, b) => Date.parse(a.r.start) - Date.parse(b.r.start));
+  return {
+    now: mine.filter((x) => x.phase !== 'due'),
+    next: mine.find((x) => x.phase === 'due') || null,
+  };
+}
+
+// the flight shown this turn, and "2 / 3" when the belt is shared
+function rotate(list) {
+  if (!list.length) return { x: null, of: '' };
+  const i = turn % list.length;
+  return { x: list[i], of: list.length > 1 ? `${i + 1} / ${list.length}` : '' };
+}
+
+// airline name as a wordmark; the flight's carrier code without one
+function airlineMark(r) {
+  const name = r.airline || String(r.flight || '').slice(0, 2);
+  return `<span class="airline">${escapeHtml(name)}</span>`;
+}
+
+function nextLine(next) {
+  if (!next) return '';
+  const r = next.r;
+  return `<span class="next-label">Next</span>
+    <span class="next-flight">${escapeHtml(r.flight)}</span>
+    <span class="next-city">${escapeHtml(originCity(r))}</span>
+    <span class="next-at">from ${hhmm(r.start)}</span>`;
+}
+
+function renderBelt(rows, nowMs) {
+  const belt = wantBelt;
+  const { now, next } = beltState(rows, belt, nowMs);
+  const { x, of } = rotate(now);
+  document.querySelector('#beltNo').textContent = `Belt ${belt}`;
+  document.querySelector('#current').innerHTML = x
+    ? `<div class="phase phase-${x.phase}">${PHASE_TEXT[x.phase]}</div>
+      <div class="flight">${escapeHtml(x.r.flight)}</div>
+      <div class="city">${escapeHtml(originCity(x.r))}</div>
+      ${airlineMark(x.r)}
+      ${of ? `<div class="rotation">${of}</div>` : ''}`
+    : `<div class="idle">No flight on this belt</div>`;
+  document.querySelector('#next').innerHTML = nextLine(next);
+}
+
+function renderHall(rows, nowMs, belts) {
+  hall.innerHTML = belts
+    .map((belt) => {
+      const { now, next } = beltState(rows, belt, nowMs);
+      const { x, of } = rotate(now);
+      const current = x
+        ? `<td class="col-flight">${escapeHtml(x.r.flight)}${of ? `<span class="rotation">${of}</span>` : ''}</td>
+          <td class="col-city">${escapeHtml(originCity(x.r))}</td>
+          <td class="col-phase"><span class="phase phase-${x.phase}">${PHASE_TEXT[x.phase]}</span></td>`
+        : `<td class="col-flight idle" colspan="3">—</td>`;
+      return `<tr${x ? '' : ' class="idle-row"'}>
+        <td class="col-belt">${escapeHtml(belt)}</td>
+        ${current}
+        <td class="col-next">${nextLine(next)}</td>
+      </tr>`;
+    })
+    .join('');
+}
+
+function render() {
+  const nowMs = Date.now();
+  clockEl.textContent = hhmm(nowMs);
+  const target = hall || document.querySelector('#current');
+  if (!data) {
+    const msg = escapeHtml(error || 'Loading…');
+    target.innerHTML = hall
+      ? `<tr><td colspan="5" class="idle">${msg}</td></tr>`
+      : `<div class="idle">${msg}</div>`;
+    return;
+  }
+  const rows = readRows(data);
+  const belts = beltsOf(data, rows);
+  if (hall) {
+    renderHall(rows, nowMs, belts);
+  } else if (!belts.includes(wantBelt)) {
+    target.innerHTML = `<div class="idle">Open this page as belt.html?belt=N (${belts.join(', ')})</div>`;
+  } else {
+    renderBelt(rows, nowMs);
+  }
+}
+
+async function load() {
+  try {
+    data = await loadAssignments();
+    error = '';
+  } catch (err) {
+    // keep showing the last good plan
+    if (!data) error = err.message;
+  }
+  render();
+}
+
+load();
+setInterval(load, REFRESH_MS);
+setInterval(() => {
+  turn += 1;
+  render();
+}, ROTATE_MS);
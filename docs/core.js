@@ -0,0 +1,315 @@
+/* docs/core.js
+ * The one reading of assignments.json shared by the board (index.html →
+ * app.js), the timeline (timeline.js) and the reclaim displays (belt.js):
+ * loading with fallbacks, row normalisation, dedupe, ordering, delay
+ * bands, status classification, FINALS and reclaim phase. Every page
+ * draws from these, so they can't contradict each other about a flight.
+ * Plain ES module like time.js; the feeder imports statusRank from here
+ * too.
+ */
+
+import { londonHHMM, resolveLondonTime, delayMinutes } from './time.js';
+
+// due within this many minutes → gold FINALS
+export const FINALS_MINUTES = 10;
+
+// the last this many minutes of a belt window → "Last bags"
+export const LAST_BAGS_MINUTES = 10;
+
+// delay bands (minutes): |d| < SLIGHT on time, SLIGHT..LATE slight,
+// over LATE late; SLIGHT or more early is early
+export const DELAY_SLIGHT_MIN = 5;
+export const DELAY_LATE_MIN = 15;
+
+// this site first, then raw GitHub (works for the public repo from anywhere)
+export const ASSIGNMENTS_URLS = [
+  'assignments.json',
+  '/brs-belt-alloc/assignments.json',
+  'https://raw.githubusercontent.com/HarrisAlharis/brs-belt-alloc/main/docs/assignments.json',
+];
+
+function toMs(t) {
+  if (t === null || t === undefined || t === '') return NaN;
+  return typeof t === 'number' ? t : Date.parse(t);
+}
+
+/**
+ * First of `urls` that answers with an assignments document. Throws with
+ * the last failure if none does.
+ */
+export async function loadAssignments(urls = ASSIGNMENTS_URLS) {
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      const res = await fetch(`${url}?v=${Date.now()}`, {
+        cache: 'no-store',
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status} on ${url}`);
+      const data = await res.json();
+      if (!data || !Array.isArray(data.rows)) {
+        throw new Error(`no rows array in ${url}`);
+      }
+      return data;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  const why = lastError ? ` (${lastError.message})` : '';
+  throw new Error(`Could not load assignments.json${why}`);
+}
+
+// ------- rows -------
+
+export const normFlight = (v) =>
+  String(v || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+
+/**
+ * One row shape for every page: belt a number ('' when there is none),
+ * codeshares always an array, origin_iata upper case.
+ */
+export function normaliseRow(r) {
+  const out = { ...r };
+  if (out.belt === undefined || out.belt === null || out.belt === '') {
+    out.belt = '';
+  } else {
+    const nb = Number(out.belt);
+    out.belt = Number.isFinite(nb) ? nb : out.belt;
+  }
+  out.codeshares = Array.isArray(out.codeshares) ? out.codeshares : [];
+  out.origin_iata = String(out.origin_iata || '').toUpperCase();
+  return out;
+}
+
+// how far along the status is; higher = fresher
+export function statusRank(r) {
+  const s = String(r.status || '').toLowerCase();
+  if (s.includes('landed')) return 3;
+  if (/estimated|delayed|expected/.test(s)) return 2;
+  return 1;
+}
+
+// "Madrid(MAD)" → "Madrid"; the IATA code when there is no name
+export function originCity(r) {
+  const name = String(r.origin || '')
+    .replace(/\([A-Z0-9]{3,4}\)\s*$/, '')
+    .trim();
+  return name || String(r.origin_iata || '').toUpperCase();
+}
+
+// "FR506|DUB|14:45": one flight leg, stable across refreshes
+export function rowKey(r) {
+  const origin = String(r.origin_iata || '').toUpperCase();
+  return `${normFlight(r.flight)}|${origin}|${r.scheduled_local || ''}`;
+}
+
+/**
+ * One row per leg (rowKey), keeping the freshest sighting (ties: the
+ * later one). The feeder already merges legs (feeder/legs.js); this
+ * covers older files and raw logs. Keeps order.
+ */
+export function dedupeRows(rows) {
+  const byLeg = new Map();
+  for (const r of rows) {
+    const key = rowKey(r);
+    const cur = byLeg.get(key);
+    if (!cur || statusRank(r) >= statusRank(cur)) byLeg.set(key, r);
+  }
+  const keep = new Set(byLeg.values());
+  return rows.filter((r) => keep.has(r));
+}
+
+/**
+ * The rows of an assignments document, normalised and de-duplicated.
+ */
+export const readRows = (data) =>
+  dedupeRows((data?.rows || []).map(normaliseRow));
+
+// ------- time -------
+
+export const hhmm = (t) => (t ? londonHHMM(t) : '');
+
+// the eta as an instant; a bare eta_local is resolved against the snapshot
+export function etaMs(r, refMs = Date.now()) {
+  const ms = toMs(r.eta);
+  if (Number.isFinite(ms)) return ms;
+  return resolveLondonTime(r.eta_local, refMs) ?? NaN;
+}
+
+/**
+ * Sort key: eta, then belt start, then scheduled time; rows with none
+ * go last.
+ */
+export function rowTimeMs(r, refMs = Date.now()) {
+  const eta = etaMs(r, refMs);
+  if (Number.isFinite(eta)) return eta;
+  const start = toMs(r.start);
+  if (Number.isFinite(start)) return start;
+  const sched = resolveLondonTime(r.scheduled_local, refMs);
+  return sched ?? Number.MAX_SAFE_INTEGER;
+}
+
+export const sortRows = (rows, refMs) =>
+  rows.slice().sort((a, b) => rowTimeMs(a, refMs) - rowTimeMs(b, refMs));
+
+// ------- status -------
+
+export const isReleased = (r) =>
+  r.lifecycle === 'cancelled' || r.lifecycle === 'diverted';
+
+export const isLanded = (r) =>
+  r.lifecycle === 'landed' || /landed/i.test(r.status || '');
+
+// minutes (signed) the eta is vs schedule; null when either is unknown
+export function delayOf(r, refMs = Date.now()) {
+  if (typeof r.delay_min === 'number' && !Number.isNaN(r.delay_min)) {
+    return r.delay_min;
+  }
+  const eta = etaMs(r, refMs);
+  return Number.isFinite(eta) ? delayMinutes(r.scheduled_local, eta) : null;
+}
+
+// 'early' | 'on_time' | 'slight' | 'late', or null without a delay
+export function delayBand(d) {
+  if (d === null || d === undefined) return null;
+  if (d <= -DELAY_SLIGHT_MIN) return 'early';
+  if (d < DELAY_SLIGHT_MIN) return 'on_time';
+  if (d <= DELAY_LATE_MIN) return 'slight';
+  return 'late';
+}
+
+export function minutesToEta(r, nowMs = Date.now()) {
+  const eta = toMs(r.eta);
+  return Number.isFinite(eta) ? Math.round((eta - nowMs) / 60000) : null;
+}
+
+// on approach: due within FINALS_MINUTES and not down yet
+export function isFinals(r, nowMs = Date.now()) {
+  if (isReleased(r) || isLanded(r)) return false;
+  const mins = minutesToEta(r, nowMs);
+  return mins !== null && mins >= 0 && mins <= FINALS_MINUTES;
+}
+
+/**
+ * What a row's status is, as { kind, text }. kind is
+ *   released   cancelled / diverted (belt released)
+ *   landed
+ *   finals     due within FINALS_MINUTES (text "FINALS 14:05")
+ *   pending    no ETA yet, or no delay to judge by
+ *   early | on_time | slight | late   delayBand() of the delay
+ * `nowMs` decides FINALS; `refMs` (the snapshot) resolves bare HH:MM.
+ */
+export function statusOf(r, { nowMs = Date.now(), refMs = nowMs } = {}) {
+  const text = r.status || (r.eta_local ? `Estimated ${r.eta_local}` : '—');
+  if (isReleased(r)) return { kind: 'released', text };
+  if (isLanded(r)) return { kind: 'landed', text };
+  if (isFinals(r, nowMs)) {
+    const at = r.eta_local || hhmm(r.eta);
+    return { kind: 'finals', text: at ? `FINALS ${at}` : 'FINALS' };
+  }
+  return { kind: delayBand(delayOf(r, refMs)) || 'pending', text };
+}
+
+/**
+ * Where a flight's bags are, from its belt window (start/end):
+ *   due        window not started yet
+ *   arriving   on the belt
+ *   last_bags  the last LAST_BAGS_MINUTES of the window
+ *   done       window over
+ * null for a released row or one without a window.
+ */
+export function reclaimPhase(r, nowMs = Date.now()) {
+  const start = toMs(r.start);
+  const end = toMs(r.end);
+  if (isReleased(r) || !Number.isFinite(start) || !Number.isFinite(end)) {
+    return null;
+  }
+  if (nowMs < start) return 'due';
+  if (nowMs >= end) return 'done';
+  return end - nowMs <= LAST_BAGS_MINUTES * 60000 ? 'last_bags' : 'arriving';
+}
+
+// ------- overrides -------
+
+const OVERRIDE_TYPES = ['pin', 'forbid', 'block'];
+
+/**
+ * Check an overrides list (data/overrides.json, or a file imported on
+ * the timeline) entry by entry, the way feeder/overrides.js
+ * compileOverrides does. `belts` are the rules.json belt ids. Returns
+ * { ok, problems, expired }: the entries still in force, one message
+ * per fault, and how many valid entries had already expired.
+ */
+export function checkOverrides(list, belts, nowMs = Date.now()) {
+  const out = { ok: [], problems: [], expired: 0 };
+  const { problems } = out;
+
+  list.forEach((o, i) => {
+    const where = `overrides[${i}]`;
+    if (!o || typeof o !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    const before = problems.length;
+
+    if (!OVERRIDE_TYPES.includes(o.type)) {
+      problems.push(
+        `${where}.type must be one of ${OVERRIDE_TYPES.join(', ')}`
+      );
+    }
+    if (!belts.includes(o.belt)) {
+      problems.push(`${where}.belt references unknown belt ${o.belt}`);
+    }
+    if (!String(o.by || '').trim()) {
+      problems.push(`${where}.by must say who made the override`);
+    }
+
+    let expires = NaN;
+    if (o.type === 'block') {
+      const from = toMs(o.from);
+      expires = toMs(o.to);
+      if (Number.isNaN(from)) {
+        problems.push(`${where}.from is not a valid time: ${o.from}`);
+      }
+      if (Number.isNaN(expires)) {
+        problems.push(`${where}.to is not a valid time: ${o.to}`);
+      }
+      if (from >= expires) problems.push(`${where}: from must be before to`);
+    } else if (!normFlight(o.flight)) {
+      problems.push(`${where}.flight is missing`);
+    }
+    if (o.start !== undefined) {
+      if (o.type !== 'pin') {
+        problems.push(`${where}.start is only allowed on a pin`);
+      } else if (Number.isNaN(toMs(o.start))) {
+        problems.push(`${where}.start is not a valid time: ${o.start}`);
+      }
+    }
+    // a block lasts until its `to` unless it says otherwise
+    if (o.expires !== undefined || o.type !== 'block') {
+      expires = toMs(o.expires);
+      if (Number.isNaN(expires)) {
+        problems.push(`${where}.expires is not a valid time: ${o.expires}`);
+      }
+    }
+
+    if (problems.length > before) return;
+    if (expires <= nowMs) out.expired++;
+    else out.ok.push(o);
+  });
+  return out;
+}
+
+// ------- html -------
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export const escapeHtml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
@@ -0,0 +1,165 @@
+/* docs/time.js
+ * Europe/London time helpers shared by the feeder (Node) and the web views.
+ *
+ * FR24 shows Bristol wall-clock times ("23:25", "Delayed 00:34") without a
+ * date. We never pin those to "today on this machine": a bare HH:MM is
+ * resolved against a reference instant (the snapshot time), across
+ * midnight in either direction and across the October / March clock
+ * changes. Plain ES module, no dependencies, so the browser can import it
+ * straight from GitHub Pages.
+ */
+
+export const TZ = 'Europe/London';
+
+const MINUTE = 60 * 1000;
+const MONTHS = 'Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec'.split(' ');
+
+const partsFmt = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TZ,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+function toMs(t) {
+  if (t === null || t === undefined || t === '') return NaN;
+  return typeof t === 'number' ? t : Date.parse(t);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// London calendar + clock at an instant; month is 0-based
+export function londonParts(t) {
+  const ms = toMs(t);
+  if (!Number.isFinite(ms)) return null;
+  const parts = partsFmt.formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month') - 1,
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+// minutes London is ahead of UTC at an instant: 0 (GMT) or 60 (BST)
+export function londonOffsetMinutes(t) {
+  const ms = toMs(t);
+  const p = londonParts(ms);
+  const wall = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return Math.round((wall - Math.floor(ms / 1000) * 1000) / MINUTE);
+}
+
+// "21:05" → [21, 5]; null for anything else
+export function parseHHMM(s) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(s || '');
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return [Number(m[1]), Number(m[2])];
+}
+
+// "HH:MM" in London for an ISO string / ms; '' if not a time
+export function londonHHMM(t) {
+  const p = londonParts(t);
+  return p ? `${pad(p.hour)}:${pad(p.minute)}` : '';
+}
+
+// "2025-11-02T21:17:52" London wall clock (for generated_at_local)
+export function londonLocalIso(t) {
+  const p = londonParts(t);
+  if (!p) return '';
+  return (
+    `${p.year}-${pad(p.month + 1)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+  );
+}
+
+// Every instant within a day of `refMs` whose London clock reads hh:mm.
+// Usually one per day; two on the October change (01:xx happens twice),
+// and on the March change (01:xx doesn't exist) the time an hour on.
+function candidates(hh, mm, refMs) {
+  const ref = londonParts(refMs);
+  const out = [];
+  for (const dd of [-1, 0, 1]) {
+    const wall = Date.UTC(ref.year, ref.month, ref.day + dd, hh, mm);
+    const found = [60, 0]
+      .map((off) => wall - off * MINUTE)
+      .filter((ms) => londonOffsetMinutes(ms) === (wall - ms) / MINUTE);
+    out.push(...(found.length ? found : [wall]));
+  }
+  return out;
+}
+
+/**
+ * London date + HH:MM → UTC ms (month 0-based). Repeated times in
+ * October give the first (BST) one; missing times in March the clock
+ * time after the jump (01:30 → 02:30 BST).
+ */
+export function londonWallToUtc(year, month, day, hh, mm) {
+  for (const off of [60, 0]) {
+    const ms = Date.UTC(year, month, day, hh, mm) - off * MINUTE;
+    if (londonOffsetMinutes(ms) === off) return ms;
+  }
+  return Date.UTC(year, month, day, hh, mm);
+}
+
+/**
+ * Resolve a bare London "HH:MM" to the instant nearest `ref` inside
+ * [ref - before, ref + after) minutes. The default window suits an
+ * arrivals board: up to 6 h back (landed), up to 18 h ahead.
+ * Returns UTC ms, or null if hhmm / ref aren't usable.
+ */
+export function resolveLondonTime(
+  hhmm,
+  ref,
+  { before = 6 * 60, after = 18 * 60 } = {}
+) {
+  const t = parseHHMM(hhmm);
+  const refMs = toMs(ref);
+  if (!t || !Number.isFinite(refMs)) return null;
+
+  const lo = refMs - before * MINUTE;
+  const hi = refMs + after * MINUTE;
+  const all = candidates(t[0], t[1], refMs);
+  const inWindow = all.filter((ms) => ms >= lo && ms < hi);
+  const pool = inWindow.length ? inWindow : all;
+  return pool.reduce((best, ms) =>
+    Math.abs(ms - refMs) < Math.abs(best - refMs) ? ms : best
+  );
+}
+
+// "23:25" scheduled vs an ETA instant: the scheduled time is the one
+// within 12 h of the ETA, so 23:25 → 00:34 is +69, not -1371
+export function delayMinutes(scheduledHHMM, eta) {
+  const etaMs = toMs(eta);
+  if (!Number.isFinite(etaMs)) return null;
+  const schedMs = resolveLondonTime(scheduledHHMM, etaMs, {
+    before: 12 * 60,
+    after: 12 * 60,
+  });
+  return schedMs === null ? null : Math.round((etaMs - schedMs) / MINUTE);
+}
+
+/**
+ * FR24 day heading ("Saturday, Nov 01") → { year, month, day }, taking
+ * the year that puts it nearest `ref`. null if it isn't a heading.
+ */
+export function resolveDayHeading(heading, ref) {
+  const m = /,\s+([A-Z][a-z]{2})\s+(\d{1,2})$/.exec(heading || '');
+  const month = m ? MONTHS.indexOf(m[1]) : -1;
+  if (month < 0) return null;
+
+  const day = Number(m[2]);
+  const refMs = toMs(ref);
+  const { year } = londonParts(refMs);
+  const dist = (y) => Math.abs(Date.UTC(y, month, day, 12) - refMs);
+  const best = [year - 1, year, year + 1].reduce((a, b) =>
+    dist(b) < dist(a) ? b : a
+  );
+  return { year: best, month, day };
+}
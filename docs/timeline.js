@@ -1,26 +1,48 @@
 /* docs/timeline.js
  * BRS — Arrivals Belt Timeline
+ * One row per belt, a puck per flight over its belt window, on a
+ * Europe/London clock (docs/time.js). Rows come from docs/core.js, shared
+ * with the board, so the pages can't disagree about a flight. Clashes,
+ * the Unassigned lane, the load heatmap, drag-to-override and playback
+ * are described where they are drawn below.
  * FIXES:
  * - Normalise belt values from JSON (string → number), so "1" matches belt 1.
  * - If 4h-history filter yields 0 flights (e.g. file is old) → fall back to ALL rows.
- * - Keep dedupe, packing, auto-refresh.
+ * - Keep packing, auto-refresh.
  */
 
+import { londonHHMM, resolveLondonTime } from './time.js';
+import { checkOverrides, delayBand, delayOf, isFinals, isReleased, loadAssignments, normFlight, readRows } from './core.js';
+
 (function () {
   // ------- helpers -------
   const $ = (s) => document.querySelector(s);
   const el = (tag, cls) => { const n = document.createElement(tag); if (cls) n.className = cls; return n; };
   const minute = 60 * 1000;
-  const dFmt = (d) => {
-    const dt = new Date(d);
-    return `${String(dt.getHours()).padStart(2,'0')}:${String(dt.getMinutes()).padStart(2,'0')}`;
-  };
+  const dFmt = (d) => londonHHMM(+new Date(d));
 
   // ------- DOM -------
   const beltChips   = $('#beltChips');
   const zoomSel     = $('#zoom');
   const nowBtn      = $('#nowBtn');
   const meta        = $('#meta');
+  const exportBtn   = $('#exportBtn');
+  const importBtn   = $('#importBtn');
+  const importFile  = $('#importFile');
+  const clearBtn    = $('#clearBtn');
+  const heatBtn     = $('#heatBtn');
+  const heatPeak    = $('#heatPeak');
+  const playBtn     = $('#playBtn');
+  const playbar     = $('#playbar');
+  const playSlider  = /** @type {HTMLInputElement} */($('#playSlider'));
+  const playToggle  = $('#playToggle');
+  const playPrev    = $('#playPrev');
+  const playNext    = $('#playNext');
+  const playLabel   = $('#playLabel');
+  const archiveBtn  = $('#archiveBtn');
+  const archiveFile = $('#archiveFile');
+  const liveBtn     = $('#liveBtn');
+  const toastBox    = $('#toast');
 
   const scrollOuter = $('#scrollOuter');
   const scrollInner = $('#scrollInner');
@@ -33,14 +55,47 @@
   let assignments = null;
   let flightsRaw = [];
   let flights = [];
+  let outages = [];
   let pxPerMin = parseFloat(zoomSel?.value || '8');
   let timeMin = null, timeMax = null;
   let beltFilter = new Set();
+  let beltRules = null;
+  let manual = [];          // override entries made / imported here
+  let drag = null;
+  let heatOn = localStorage.getItem('brs-timeline-heat') === '1';
+  let frames = [];          // playback: [{ at, rows, outages }], oldest first
+  let frameIdx = -1;        // -1 = live
+  let playTimer = null;
+  let clockMs = null;       // playback: the frame's time stands in for now
+  let snapshotMs = Date.now(); // generated_at of what is drawn (bare HH:MM)
+  let playWindow = null;    // playback: one time axis for every frame
+  const clock = () => clockMs ?? Date.now();
 
-  const DEDUPE_START_WINDOW_MS = 5 * minute;
   const HISTORY_WINDOW_MIN = 240;   // 4h
   const COMPLETED_GRACE_MS = 2 * minute;
 
+  const OVERRIDES_KEY = 'brs-timeline-overrides';
+  const BY_KEY = 'brs-timeline-by';
+  const PIN_KEEP_MS = 120 * minute;  // a pin expires 2h after its belt closes
+  const GHOST_MS = 30 * minute;      // width of a puck with no belt window (ghost, untimed)
+  const RULER_H = 44;
+  const HEAT_STRIP_H = 14;           // terminal-wide strip under the hour labels
+  const HEAT_BUCKET_MS = 10 * minute;
+  const HEAT_DEFAULT_CAPACITY = 180; // pax_config long_belt_threshold_pax
+  // share of capacity → colour; same steps as the legend
+  const HEAT_LEVELS = [
+    [1,    'rgba(255,72,72,.55)'],   // over the belt
+    [0.75, 'rgba(255,140,60,.42)'],
+    [0.4,  'rgba(255,209,102,.30)'],
+    [0,    'rgba(72,163,255,.16)'],
+  ];
+  const SNAPSHOTS_KEY = 'brs-timeline-snapshots';
+  const PLAY_STEP_MS = 800;
+  // the row fields a snapshot keeps (stored as arrays to fit localStorage)
+  const SNAPSHOT_COLS = ['flight', 'origin_iata', 'belt', 'start', 'end', 'eta', 'status', 'lifecycle', 'tentative', 'delay_min', 'pax_estimate', 'flow', 'reason', 'scheduled_local'];
+  // rules.json defaults, for an assignments.json without belt_rules
+  const DEFAULT_BELT_RULES = { belts: BELTS_ORDER, max_queue_per_belt: 2, density_minutes: 10, cleanup_minutes: {} };
+
   const getCssNum = (name, fallback) => {
     const v = parseInt(getComputedStyle(document.documentElement).getPropertyValue(name), 10);
     return Number.isFinite(v) ? v : fallback;
@@ -49,78 +104,43 @@
   const LANE_GAP = getCssNum('--lane-gap', 10);
   const BELT_PAD = getCssNum('--belt-pad-y', 18);
 
-  const fetchJSON = (u) => fetch(u, { cache: 'no-store' }).then(r => r.json());
-
-  // --- normalise row from JSON ---
-  function normaliseRow(r) {
+  // --- put a (core-normalised) row on the time axis ---
+  // refMs (the snapshot time) resolves a scheduled HH:MM for rows with no eta
+  function placeRow(r, refMs) {
     const out = { ...r };
 
-    // belt → number
-    if (out.belt !== undefined && out.belt !== null && out.belt !== '') {
-      const nb = Number(out.belt);
-      out.belt = Number.isFinite(nb) ? nb : out.belt;
-    }
-
     // start/end defaults
     if (!out.start && out.eta) out.start = out.eta;
+    if (!out.start && out.scheduled_local) {
+      const sched = resolveLondonTime(out.scheduled_local, refMs);
+      if (sched !== null) {
+        out.start = new Date(sched).toISOString();
+        out._ghost = 'scheduled';
+      }
+    }
     if (!out.end && out.start) {
       const s = new Date(out.start);
-      out.end = new Date(s.getTime() + 30*minute).toISOString();
+      out.end = new Date(s.getTime() + GHOST_MS).toISOString();
     }
 
     return out;
   }
 
-  // ------- de-dupe -------
-  function dedupeFlights(rows) {
-    const keep = [];
-    const seenMap = new Map(); // "<belt>|<flight>"
-
-    for (const r0 of rows) {
-      const r = normaliseRow(r0);
-      const belt = r.belt;
-
-      // if no belt, just keep
-      if (belt == null || belt === '') {
-        keep.push(r);
-        continue;
-      }
-
-      const flightText = (r.flight || '').trim().toLowerCase();
-      const startMs = +new Date(r.start);
-      const key = `${belt}|${flightText}`;
-
-      if (!seenMap.has(key)) {
-        seenMap.set(key, [{ startMs }]);
-        keep.push(r);
-        continue;
-      }
-
-      const arr = seenMap.get(key);
-      let isDup = false;
-      for (const rec of arr) {
-        if (Math.abs(startMs - rec.startMs) <= DEDUPE_START_WINDOW_MS) {
-          isDup = true;
-          break;
-        }
-      }
-      if (!isDup) {
-        arr.push({ startMs });
-        keep.push(r);
-      }
-    }
-
-    return keep;
+  // not drawn on a belt row: no belt, a belt the timeline doesn't know,
+  // or no time to put it at
+  const isUnassigned = (r) => !BELTS_ORDER.includes(r.belt) || !r.start || r._untimed;
+
+  // why a row is in the Unassigned lane
+  function unassignedWhy(r) {
+    if (isReleased(r)) return r.lifecycle === 'cancelled' ? 'Cancelled' : 'Diverted';
+    if (!r.start || r._untimed) return 'No ETA or scheduled time';
+    if (!r.eta) return r.belt === '' || r.belt == null ? 'No ETA, no belt' : 'No ETA';
+    if (r.belt === '' || r.belt == null) return 'No belt';
+    return `Unknown belt ${r.belt}`;
   }
 
-  // ------- delay → class -------
-  function classByDelay(d) {
-    if (d == null) return 'ok';
-    if (d >= 20) return 'late';
-    if (d >= 10) return 'mid';
-    if (d <= -1) return 'early';
-    return 'ok';
-  }
+  // ------- delay band (core.js) → puck colour -------
+  const PUCK_CLASS = { early: 'early', on_time: 'ok', slight: 'mid', late: 'late' };
 
   function isCompletedPast(f, nowMs) {
     const endMs = +new Date(f.end);
@@ -131,25 +151,35 @@
 
   // ------- build puck -------
   function buildPuck(f) {
-    const nowMs = Date.now();
-    const completed = isCompletedPast(f, nowMs);
-    let cls = classByDelay(f.delay_min);
+    const completed = isCompletedPast(f, clock());
+    let cls = PUCK_CLASS[delayBand(delayOf(f, snapshotMs))] || 'ok';
     if (completed) cls = 'stale';
+    const finals = !completed && isFinals(f, clock());
 
-    const p = el('div', `puck ${cls}`);
+    const ghost = isUnassigned(f);
+    const p = el('div', `puck ${cls}${f.tentative ? ' tentative' : ''}${f._clashes?.length ? ' clash' : ''}${f._manual ? ' manual' : ''}${ghost ? ' ghost' : ''}${isReleased(f) ? ' released' : ''}${f._was !== undefined ? ' moved' : ''}${finals ? ' finals' : ''}`);
 
     const title = el('div', 'title');
     title.textContent = `${(f.flight||'').trim()} • ${(f.origin_iata||'').trim() || f.origin || ''}`.replace(/\s+/g,' ');
     const sub = el('div', 'sub');
-    sub.textContent = `${dFmt(f.start)} → ${dFmt(f.end)}`;
+    sub.textContent = !ghost
+      ? `${dFmt(f.start)} → ${dFmt(f.end)}`
+      : `${f._untimed ? '' : `${f._ghost ? 'Sched' : 'ETA'} ${dFmt(f.start)} • `}${unassignedWhy(f)}`;
 
     const tipLines = [
       `${(f.flight||'').trim()} ${f.origin ? `• ${f.origin}` : ''}`,
-      `${dFmt(f.start)} → ${dFmt(f.end)}`,
+      f.codeshares?.length ? `Also ${f.codeshares.join(', ')}` : '',
+      ghost ? unassignedWhy(f) : `${dFmt(f.start)} → ${dFmt(f.end)}`,
+      f._ghost ? `Scheduled ${f.scheduled_local} (no ETA yet)` : '',
       f.flow,
       f.airline,
       f.aircraft,
-      f.reason ? `Reason: ${f.reason}` : ''
+      finals ? `FINALS ${dFmt(f.eta)}` : '',
+      f.tentative ? 'Tentative (not live yet)' : '',
+      f._manual ? `Manual move by ${f._manual}` : '',
+      f._was !== undefined ? `Belt changed ${f._was === '' ? '—' : f._was} → ${f.belt === '' ? '—' : f.belt} in this frame` : '',
+      f.reason ? `Reason: ${f.reason}` : '',
+      ...(f._clashes || []).map(c => `Clashes with ${c.flight} (${c.min} min)`)
     ].filter(Boolean);
     p.setAttribute('data-tip', tipLines.join('\n'));
 
@@ -162,9 +192,124 @@
     p.style.width = `${Math.max(120, right - left - 4)}px`;
     p.style.top   = `${f._lane * (LANE_H + LANE_GAP)}px`;
 
+    // ghosts can be dragged onto a belt too, unless there is nothing to place
+    if (!completed && !f._untimed && !isReleased(f) && frameIdx < 0) p.addEventListener('pointerdown', (ev) => startDrag(ev, f, p));
+
     return p;
   }
 
+  // ------- outage band (belt out of service) -------
+  function buildOutage(o, height) {
+    const band = el('div', 'outage');
+    band.style.height = `${height}px`;
+    const left = Math.max(0, xForDate(o.from));
+    const right = Math.min(xForDate(timeMax), xForDate(o.to));
+    band.style.left = `${left}px`;
+    band.style.width = `${Math.max(0, right - left)}px`;
+
+    const label = el('span', 'outage-label');
+    label.textContent = `Out of service${o.reason ? ` • ${o.reason}` : ''}`;
+    band.appendChild(label);
+    band.setAttribute('data-tip', `Belt ${o.belt} out of service\n${dFmt(o.from)} → ${dFmt(o.to)}${o.reason ? `\n${o.reason}` : ''}`);
+    return band;
+  }
+
+  // ------- clashes (overlapping windows on one belt) -------
+  // pairwise overlaps; also tags each flight with f._clashes
+  function findClashes(items) {
+    const pairs = [];
+    for (const f of items) f._clashes = [];
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const a = items[i], b = items[j];
+        const from = Math.max(+new Date(a.start), +new Date(b.start));
+        const to = Math.min(+new Date(a.end), +new Date(b.end));
+        if (from >= to) continue;
+        const min = Math.round((to - from) / minute);
+        pairs.push({ a, b, from, to, min });
+        a._clashes.push({ flight: (b.flight || '').trim(), min });
+        b._clashes.push({ flight: (a.flight || '').trim(), min });
+      }
+    }
+    return pairs;
+  }
+
+  // merge overlapping pair windows into bands: [{ from, to, pairs }]
+  function clashBands(pairs) {
+    const bands = [];
+    for (const p of pairs.slice().sort((x, y) => x.from - y.from)) {
+      const last = bands[bands.length - 1];
+      if (last && p.from <= last.to) {
+        last.to = Math.max(last.to, p.to);
+        last.pairs.push(p);
+      } else {
+        bands.push({ from: p.from, to: p.to, pairs: [p] });
+      }
+    }
+    return bands;
+  }
+
+  function buildClash(band, height) {
+    const shade = el('div', 'clash-band');
+    shade.style.height = `${height}px`;
+    const left = xForDate(band.from);
+    shade.style.left = `${left}px`;
+    shade.style.width = `${Math.max(2, xForDate(band.to) - left)}px`;
+    const lines = band.pairs.map(p => `${(p.a.flight || '').trim()} × ${(p.b.flight || '').trim()}: ${p.min} min`);
+    shade.setAttribute('data-tip', `Overlap ${dFmt(band.from)} → ${dFmt(band.to)}\n${lines.join('\n')}`);
+    return shade;
+  }
+
+  // ------- load heatmap -------
+  // pax per bucket: a flight counts for the share of the bucket its belt
+  // window covers. Map bucket start (ms) → pax
+  function heatBuckets(items) {
+    const out = new Map();
+    for (const f of items) {
+      const pax = Number(f.pax_estimate);
+      if (!(pax > 0)) continue;
+      const s = +new Date(f.start), e = +new Date(f.end);
+      for (let b = Math.floor(s / HEAT_BUCKET_MS) * HEAT_BUCKET_MS; b < e; b += HEAT_BUCKET_MS) {
+        const covered = Math.min(e, b + HEAT_BUCKET_MS) - Math.max(s, b);
+        out.set(b, (out.get(b) || 0) + pax * covered / HEAT_BUCKET_MS);
+      }
+    }
+    return out;
+  }
+
+  // belts with no length in pax_config get the smallest known capacity
+  function capacityOf(belt) {
+    const caps = Object.values(beltRules?.capacity_pax || {}).filter(c => c > 0);
+    return beltRules?.capacity_pax?.[belt] || (caps.length ? Math.min(...caps) : HEAT_DEFAULT_CAPACITY);
+  }
+
+  const heatColour = (pax, capacity) => HEAT_LEVELS.find(([share]) => pax / capacity >= share)[1];
+
+  function buildHeatCell(belt, bucketMs, pax, height) {
+    const capacity = capacityOf(belt);
+    const cell = el('div', 'heat-cell');
+    cell.style.left = `${xForDate(bucketMs)}px`;
+    cell.style.width = `${HEAT_BUCKET_MS / minute * pxPerMin}px`;
+    cell.style.height = `${height}px`;
+    cell.style.background = heatColour(pax, capacity);
+    cell.setAttribute('data-tip', `Belt ${belt} ${dFmt(bucketMs)}–${dFmt(bucketMs + HEAT_BUCKET_MS)}\n~${Math.round(pax)} pax (belt takes ~${capacity})`);
+    return cell;
+  }
+
+  // terminal-wide strip along the bottom of the ruler; returns the peak
+  function drawHeatStrip(ctx, top) {
+    const placed = flights.filter(f => BELTS_ORDER.includes(f.belt) && !isUnassigned(f));
+    const total = BELTS_ORDER.reduce((sum, b) => sum + capacityOf(b), 0);
+    let peak = null;
+    for (const [b, pax] of heatBuckets(placed)) {
+      if (b + HEAT_BUCKET_MS < +timeMin || b > +timeMax) continue;
+      ctx.fillStyle = heatColour(pax, total);
+      ctx.fillRect(xForDate(b), top, HEAT_BUCKET_MS / minute * pxPerMin - 1, HEAT_STRIP_H);
+      if (!peak || pax > peak.pax) peak = { at: b, pax };
+    }
+    return peak;
+  }
+
   // ------- pack lanes per belt -------
   function packLanes(items) {
     const sorted = items.slice().sort((a,b)=>+new Date(a.start) - +new Date(b.start));
@@ -192,12 +337,201 @@
     return { lanes: Math.max(1, lanesLastEnd.length), items: sorted };
   }
 
+  // ------- manual moves (override pins kept in this browser) -------
+  // a drop is checked like the allocator would (outages, cleanup gap, density,
+  // max queue from belt_rules); Export writes the pins as data/overrides.json
+  const sameLeg = (o, f) =>
+    normFlight(o.flight) === normFlight(f.flight) &&
+    (!o.origin_iata || String(o.origin_iata).toUpperCase() === String(f.origin_iata || '').toUpperCase());
+  const expiryOf = (o) => +new Date(o.expires || o.to);
+
+  function loadManual() {
+    try {
+      const list = JSON.parse(localStorage.getItem(OVERRIDES_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch { return []; }
+  }
+
+  function saveManual() {
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(manual));
+  }
+
+  // local pins on top of the published plan (same effect as the feeder
+  // applying them); rows the feeder already placed by override count too
+  function applyManual(rows) {
+    const nowMs = Date.now();
+    const live = manual.filter(o => expiryOf(o) > nowMs);
+    if (live.length !== manual.length) { manual = live; saveManual(); }
+
+    for (const f of rows) {
+      const pin = manual.find(o => o.type === 'pin' && sameLeg(o, f));
+      if (pin) {
+        f.belt = Number(pin.belt);
+        if (pin.start && f.start && f.end) {
+          const len = +new Date(f.end) - +new Date(f.start);
+          f.start = new Date(pin.start).toISOString();
+          f.end = new Date(+new Date(pin.start) + len).toISOString();
+        }
+        f._manual = pin.by || '?';
+      } else if (String(f.reason || '').startsWith('override:')) {
+        f._manual = f.reason.slice('override:'.length);
+      }
+    }
+    return rows;
+  }
+
+  // can f go on `belt` from startMs? '' if so, else why not. Same test as
+  // the allocator's beltHasRoom (feeder/allocate.js)
+  function checkMove(f, belt, startMs) {
+    const br = beltRules || DEFAULT_BELT_RULES;
+    if (!br.belts.includes(belt)) return `belt ${belt} is not in rules.json`;
+
+    const cleanupOf = (g) => (br.cleanup_minutes[g.flow] || 0) * minute;
+    const s = startMs;
+    const e = startMs + (+new Date(f.end) - +new Date(f.start));
+    const ownGap = cleanupOf(f);
+    const meets = (s2, e2, gap) => s < e2 + gap && s2 < e + gap;
+
+    for (const o of outages) {
+      if (Number(o.belt) !== belt || !meets(+new Date(o.from), +new Date(o.to), ownGap)) continue;
+      return `belt ${belt} is out of service ${dFmt(o.from)} → ${dFmt(o.to)}${o.reason ? ` (${o.reason})` : ''}`;
+    }
+
+    const others = flightsRaw
+      .filter(g => g !== f && g.belt === belt && g.start && g.end)
+      .map(g => ({ g, s: +new Date(g.start), e: +new Date(g.end), gap: Math.max(ownGap, cleanupOf(g)) }))
+      .filter(o => meets(o.s, o.e, o.gap));
+
+    const dense = others.find(o => Math.abs(o.s - s) < br.density_minutes * minute);
+    if (dense) return `first bags within ${br.density_minutes} min of ${(dense.g.flight || '').trim()}`;
+
+    // peak load is reached at our start or at one of theirs
+    const points = [s, ...others.map(o => o.s).filter(t => t > s)];
+    for (const p of points) {
+      const running = others.filter(o => o.s <= p && p < o.e + o.gap).length;
+      if (running + 1 > br.max_queue_per_belt) {
+        return `belt ${belt} would run ${running + 1} flights at ${dFmt(p)} (max ${br.max_queue_per_belt})`;
+      }
+    }
+    return '';
+  }
+
+  function whoAmI() {
+    let by = localStorage.getItem(BY_KEY) || '';
+    if (!by) {
+      by = (window.prompt('Your name or initials (recorded on the override):') || '').trim();
+      if (by) localStorage.setItem(BY_KEY, by);
+    }
+    return by;
+  }
+
+  function pinMove(f, belt, startMs) {
+    const by = whoAmI();
+    if (!by) { drawAll(); return; }
+
+    const prev = manual.find(o => o.type === 'pin' && sameLeg(o, f));
+    const start = startMs ?? (prev?.start ? +new Date(prev.start) : null);
+    const endMs = (start ?? +new Date(f.start)) + (+new Date(f.end) - +new Date(f.start));
+
+    const pin = { type: 'pin', flight: normFlight(f.flight), belt, by, expires: new Date(endMs + PIN_KEEP_MS).toISOString() };
+    if (f.origin_iata) pin.origin_iata = String(f.origin_iata).toUpperCase();
+    if (start !== null) pin.start = new Date(start).toISOString();
+
+    manual = manual.filter(o => !(o.type === 'pin' && sameLeg(o, f)));
+    manual.push(pin);
+    saveManual();
+    applyData(assignments);
+    toast(`${pin.flight} → belt ${belt}${pin.start ? ` from ${dFmt(pin.start)}` : ''} (export to send to the feeder)`);
+  }
+
+  let toastTimer = null;
+  function toast(msg) {
+    if (!toastBox) return;
+    toastBox.textContent = msg;
+    toastBox.classList.add('show');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toastBox.classList.remove('show'), 5000);
+  }
+
+  // ------- drag a puck: belt rows vertically, 1-min steps horizontally -------
+  function beltRowAt(clientY) {
+    return [...rowsHost.querySelectorAll('.belt-row[data-belt]')].find(r => {
+      const box = r.getBoundingClientRect();
+      return clientY >= box.top && clientY < box.bottom;
+    });
+  }
+
+  function startDrag(ev, f, p) {
+    if (ev.button !== 0) return;
+    ev.preventDefault();
+    p.setPointerCapture(ev.pointerId);
+    p.classList.add('dragging');
+    const row = p.closest('.belt-row');
+    drag = { f, p, row, x0: ev.clientX, belt: f.belt, startMs: +new Date(f.start), why: '' };
+    p.addEventListener('pointermove', moveDrag);
+    p.addEventListener('pointerup', endDrag);
+    p.addEventListener('pointercancel', cancelDrag);
+  }
+
+  function moveDrag(ev) {
+    if (!drag) return;
+    const { f, p, row } = drag;
+    const mins = Math.round((ev.clientX - drag.x0) / pxPerMin);
+    const target = beltRowAt(ev.clientY) || row;
+    if (!target.dataset.belt) {
+      // still over the Unassigned lane: follow the pointer, nothing to check
+      p.style.transform = `translate(${mins * pxPerMin}px, 0px)`;
+      drag.belt = f.belt;
+      drag.startMs = +new Date(f.start);
+      return;
+    }
+    drag.belt = Number(target.dataset.belt);
+    drag.startMs = +new Date(f.start) + mins * minute;
+    drag.why = checkMove(f, drag.belt, drag.startMs);
+
+    const dy = target.getBoundingClientRect().top - row.getBoundingClientRect().top;
+    p.style.transform = `translate(${mins * pxPerMin}px, ${dy}px)`;
+    p.classList.toggle('invalid', Boolean(drag.why));
+    p.querySelector('.sub').textContent = `Belt ${drag.belt} • ${dFmt(drag.startMs)}${drag.why ? ' ✕' : ''}`;
+  }
+
+  function stopDrag() {
+    const d = drag;
+    drag = null;
+    d.p.removeEventListener('pointermove', moveDrag);
+    d.p.removeEventListener('pointerup', endDrag);
+    d.p.removeEventListener('pointercancel', cancelDrag);
+    return d;
+  }
+
+  function cancelDrag() {
+    if (!drag) return;
+    stopDrag();
+    drawAll();
+  }
+
+  function endDrag() {
+    if (!drag) return;
+    const { f, belt, startMs } = stopDrag();
+    const shifted = startMs !== +new Date(f.start);
+    if (belt === f.belt && !shifted) { drawAll(); return; }
+
+    // the puck's own window is checked without it, so re-check on drop
+    const why = checkMove(f, belt, startMs);
+    if (why) {
+      drawAll();
+      toast(`${(f.flight || '').trim()} can't move: ${why}`);
+      return;
+    }
+    pinMove(f, belt, shifted ? startMs : null);
+  }
+
   // ------- ruler -------
   function drawRuler() {
     if (!canvasRuler) return;
     const ctx = canvasRuler.getContext('2d');
     const width = Math.max(xForDate(timeMax) + 200, scrollOuter.clientWidth);
-    const height = 44;
+    const height = RULER_H + (heatOn ? HEAT_STRIP_H : 0);
     const dpr = window.devicePixelRatio || 1;
 
     canvasRuler.width  = Math.floor(width  * dpr);
@@ -218,13 +552,13 @@
     ctx.textBaseline = 'alphabetic';
 
     const startAligned = new Date(timeMin);
-    startAligned.setMinutes(0,0,0);
+    startAligned.setUTCMinutes(0,0,0); // London is whole hours off UTC
     const endMs = +timeMax;
 
     for (let t = +startAligned; t <= endMs; t += 10*minute) {
       const x = Math.floor(xForDate(t));
       const dt = new Date(t);
-      const mm = dt.getMinutes();
+      const mm = dt.getUTCMinutes();
       const isHour = (mm === 0);
 
       ctx.fillStyle = isHour ? '#213043' : 'rgba(33,48,67,0.4)';
@@ -232,9 +566,14 @@
 
       if (isHour) {
         ctx.fillStyle = '#dce6f2';
-        ctx.fillText(dFmt(t), x + 8, height - 12);
+        ctx.fillText(dFmt(t), x + 8, RULER_H - 12);
       }
     }
+
+    if (heatPeak) heatPeak.textContent = '';
+    if (!heatOn) return;
+    const peak = drawHeatStrip(ctx, RULER_H - 1);
+    if (heatPeak && peak) heatPeak.textContent = `Peak ~${Math.round(peak.pax)} pax at ${dFmt(peak.at)}`;
   }
 
   // ------- gridlines -------
@@ -243,13 +582,13 @@
     const frag = document.createDocumentFragment();
 
     const startAligned = new Date(timeMin);
-    startAligned.setMinutes(0,0,0);
+    startAligned.setUTCMinutes(0,0,0); // London is whole hours off UTC
     const endMs = +timeMax;
 
     for (let t = +startAligned; t <= endMs; t += 10*minute) {
       const x = xForDate(t);
       const dt = new Date(t);
-      const mm = dt.getMinutes();
+      const mm = dt.getUTCMinutes();
       const isHour = (mm === 0);
 
       const g = el('div', 'gridline');
@@ -265,7 +604,7 @@
   // ------- now line -------
   function updateNowLine(totalHeight) {
     if (!nowLine) return;
-    nowLine.style.left = `${xForDate(Date.now())}px`;
+    nowLine.style.left = `${xForDate(clock())}px`;
     nowLine.style.height = `${totalHeight}px`;
   }
 
@@ -280,8 +619,16 @@
         ? (beltFilter.has('__none__') ? [] : BELTS_ORDER)
         : BELTS_ORDER.filter(b => beltFilter.has(b));
 
+    if (beltFilter.size === 0) {
+      const lane = buildUnassignedLane();
+      frag.appendChild(lane);
+      rowsHost.appendChild(frag);
+      totalHeight += lane.getBoundingClientRect().height;
+    }
+
     for (const b of beltsToShow) {
       const beltRow = el('div','belt-row');
+      beltRow.dataset.belt = String(b);
       const beltName = el('div','belt-name');
       beltName.textContent = `Belt ${b}`;
       const inner = el('div','row-inner');
@@ -295,6 +642,23 @@
       const contentH = lanes * (LANE_H + LANE_GAP) - LANE_GAP;
       beltRow.style.minHeight = `calc(${BELT_PAD}px * 2 + ${contentH}px)`;
 
+      if (heatOn) {
+        for (const [bucket, pax] of heatBuckets(items)) {
+          if (bucket + HEAT_BUCKET_MS < +timeMin || bucket > +timeMax) continue;
+          inner.appendChild(buildHeatCell(b, bucket, pax, contentH));
+        }
+      }
+
+      for (const o of outages) {
+        if (Number(o.belt) !== b) continue;
+        if (+new Date(o.to) < +timeMin || +new Date(o.from) > +timeMax) continue;
+        inner.appendChild(buildOutage(o, contentH));
+      }
+
+      for (const band of clashBands(findClashes(packed))) {
+        inner.appendChild(buildClash(band, contentH));
+      }
+
       for (const f of packed) {
         inner.appendChild(buildPuck(f));
       }
@@ -312,14 +676,51 @@
     updateNowLine(totalHeight);
   }
 
+  // ------- Unassigned lane (top) -------
+  // rows with no belt (or one not on the timeline) and rows with no ETA, as
+  // ghost pucks at their scheduled time, so nothing drops off the screen
+  function buildUnassignedLane() {
+    const laneRow = el('div','belt-row unassigned-row');
+    const laneName = el('div','belt-name');
+    laneName.textContent = 'Unassigned';
+    const inner = el('div','row-inner');
+    laneRow.appendChild(laneName);
+    laneRow.appendChild(inner);
+
+    // rows with no time at all are parked at the left edge
+    const untimed = flightsRaw.filter(r => !r.start).map(r => ({
+      ...r,
+      _untimed: true,
+      start: new Date(+timeMin).toISOString(),
+      end: new Date(+timeMin + GHOST_MS).toISOString(),
+    }));
+    const items = [...flights.filter(r => r.start && isUnassigned(r)), ...untimed];
+
+    const open = items.filter(r => !isReleased(r));
+    const badge = el('span', `count-badge${open.length ? ' on' : ''}`);
+    badge.textContent = String(open.length);
+    const counts = {};
+    for (const r of items) { const why = unassignedWhy(r); counts[why] = (counts[why] || 0) + 1; }
+    badge.setAttribute('data-tip', Object.entries(counts).map(([why, n]) => `${n} × ${why}`).join('\n') || 'Every flight has a belt');
+    laneName.appendChild(badge);
+
+    const { lanes, items: packed } = packLanes(items);
+    const contentH = lanes * (LANE_H + LANE_GAP) - LANE_GAP;
+    laneRow.style.minHeight = `calc(${BELT_PAD}px * 2 + ${contentH}px)`;
+    for (const f of packed) inner.appendChild(buildPuck(f));
+    return laneRow;
+  }
+
   function drawAll() {
     drawRuler();
     drawRows();
   }
 
   // ------- compute time window -------
-  function computeTimeWindow(allRows) {
-    const nowMs = Date.now();
+  function computeTimeWindow(rows) {
+    // rows with no time at all only show in the Unassigned lane
+    const allRows = rows.filter(r => r.start);
+    const nowMs = clock();
     const historyCutoff = nowMs - HISTORY_WINDOW_MIN * minute;
 
     // 1) try 4h window
@@ -411,26 +812,184 @@
   }
 
   // ------- load -------
+  // draw a document: the live assignments.json, or a playback frame (no
+  // local overrides on top; flights that changed belt get _was)
+  function applyData(data, frame = null) {
+    const refMs = Date.parse(data.generated_at_utc) || Date.now();
+    snapshotMs = refMs;
+    const rows = readRows(data).map(r => placeRow(r, refMs));
+    const normed = frame ? markChanges(rows, frame) : applyManual(rows);
+    const { flightsFiltered, tMin, tMax } = computeTimeWindow(normed);
+
+    flights   = flightsFiltered;
+    flightsRaw = normed;
+    outages   = Array.isArray(data.outages) ? data.outages : [];
+    beltRules = data.belt_rules || null;
+    timeMin   = frame && playWindow ? playWindow.tMin : tMin;
+    timeMax   = frame && playWindow ? playWindow.tMax : tMax;
+
+    if (meta && frame) {
+      meta.textContent = `Playback • run ${dFmt(frame.at)}`;
+    } else if (meta) {
+      const pins = manual.filter(o => o.type === 'pin').length;
+      meta.textContent = `Generated ${data.generated_at_local} • Horizon ${data.horizon_minutes} min${pins ? ` • ${pins} manual move${pins === 1 ? '' : 's'}` : ''}`;
+    }
+
+    drawAll();
+  }
+
   function load() {
-    return fetchJSON('assignments.json').then(data => {
+    manual = loadManual();
+    frames = loadSnapshots();
+    return loadAssignments().then(data => {
+      buildBeltChips();
       assignments = data;
+      recordSnapshot(data);
+      applyData(data);
+    });
+  }
 
-      const normed = (data.rows || []).map(normaliseRow);
-      const deduped = dedupeFlights(normed);
-      const { flightsFiltered, tMin, tMax } = computeTimeWindow(deduped);
+  // live, or the playback frame being shown
+  function redraw() {
+    if (frameIdx >= 0) showFrame(frameIdx);
+    else applyData(assignments);
+  }
 
-      flights   = flightsFiltered;
-      flightsRaw = normed;
-      timeMin   = tMin;
-      timeMax   = tMax;
+  // ------- playback -------
+  // each new assignments.json is kept in this browser for 4h; the slider steps
+  // through those or an archive (history/*.ndjson, `cli.js replay --frames`,
+  // an assignments.json). Flights that changed belt since the last frame are marked
+  const legOf = (r) => `${normFlight(r.flight)}|${String(r.origin_iata || '').toUpperCase()}`;
+
+  function markChanges(rows, frame) {
+    const before = frames[frames.indexOf(frame) - 1];
+    if (!before) return rows;
+    const was = new Map(before.rows.map(r => [legOf(r), r.belt === '' || r.belt == null ? '' : Number(r.belt)]));
+    for (const f of rows) {
+      const key = legOf(f);
+      const belt = f.belt === '' || f.belt == null ? '' : f.belt;
+      if (was.has(key) && was.get(key) !== belt) f._was = was.get(key);
+    }
+    return rows;
+  }
 
-      if (meta) {
-        meta.textContent = `Generated ${assignments.generated_at_local} • Horizon ${assignments.horizon_minutes} min`;
-      }
+  function loadSnapshots() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SNAPSHOTS_KEY) || '[]');
+      return stored.map(s => ({
+        at: s.at,
+        outages: s.outages || [],
+        rows: s.rows.map(v => Object.fromEntries(s.cols.map((k, i) => [k, v[i]]))),
+      }));
+    } catch { return []; }
+  }
 
-      buildBeltChips();
-      drawAll();
+  // keep each new assignments.json for HISTORY_WINDOW_MIN
+  function recordSnapshot(data) {
+    const at = Date.parse(data.generated_at_utc);
+    const stored = loadStored();
+    if (!Number.isFinite(at) || stored.some(s => s.at === at)) return;
+    const cutoff = Date.now() - HISTORY_WINDOW_MIN * minute;
+    const kept = stored.filter(s => s.at >= cutoff);
+    kept.push({
+      at,
+      cols: SNAPSHOT_COLS,
+      outages: Array.isArray(data.outages) ? data.outages : [],
+      rows: (data.rows || []).map(r => SNAPSHOT_COLS.map(k => r[k] ?? null)),
     });
+    kept.sort((a, b) => a.at - b.at);
+    // full storage: drop the oldest until it fits
+    while (kept.length) {
+      try {
+        localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(kept));
+        break;
+      } catch {
+        kept.shift();
+      }
+    }
+    if (frameIdx < 0) frames = loadSnapshots();
+  }
+
+  function loadStored() {
+    try { return JSON.parse(localStorage.getItem(SNAPSHOTS_KEY) || '[]'); } catch { return []; }
+  }
+
+  // archive file → frames: NDJSON runs (history/, replay --frames), a JSON
+  // array of runs, or one plan ({ rows } / an array of rows)
+  function parseArchive(text) {
+    let runs;
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed) && parsed.every(x => Array.isArray(x?.rows))) runs = parsed;
+      else if (Array.isArray(parsed)) runs = [{ rows: parsed }];
+      else if (Array.isArray(parsed?.rows)) runs = [parsed];
+      else throw new Error('no rows in file');
+    } catch (err) {
+      if (!text.includes('\n')) throw err;
+      runs = text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+    }
+    return runs
+      .filter(r => Array.isArray(r.rows))
+      .map(r => ({
+        at: Date.parse(r.run_at_utc || r.generated_at_utc) || Math.max(...r.rows.map(x => Date.parse(x.eta) || 0)),
+        outages: r.outages || [],
+        rows: r.rows,
+      }))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  function showFrame(i) {
+    frameIdx = Math.max(0, Math.min(frames.length - 1, i));
+    const frame = frames[frameIdx];
+    clockMs = frame.at;
+    applyData({
+      generated_at_utc: new Date(frame.at).toISOString(),
+      horizon_minutes: assignments?.horizon_minutes,
+      belt_rules: assignments?.belt_rules,
+      outages: frame.outages,
+      rows: frame.rows,
+    }, frame);
+
+    if (playSlider) playSlider.value = String(frameIdx);
+    if (playLabel) {
+      const moved = flightsRaw.filter(f => f._was !== undefined);
+      const list = moved.slice(0, 4).map(f => `${(f.flight || '').trim()} ${f._was === '' ? '—' : f._was}→${f.belt === '' ? '—' : f.belt}`);
+      playLabel.textContent = `${frameIdx + 1}/${frames.length} • ${dFmt(frame.at)}` +
+        (moved.length ? ` • ${moved.length} belt change${moved.length === 1 ? '' : 's'}: ${list.join(', ')}${moved.length > list.length ? ' …' : ''}` : '');
+    }
+  }
+
+  function startPlayback(list) {
+    if (!list.length) {
+      toast('No snapshots yet: they build up while this page stays open, or open an archive file');
+      return;
+    }
+    frames = list;
+    const times = list.flatMap(f => f.rows.flatMap(r => [r.start || r.eta, r.end || r.eta]))
+      .map(t => Date.parse(t)).filter(Number.isFinite);
+    playWindow = times.length
+      ? { tMin: new Date(Math.min(...times) - 45 * minute), tMax: new Date(Math.max(...times) + 45 * minute) }
+      : null;
+    if (playSlider) { playSlider.max = String(frames.length - 1); playSlider.value = '0'; }
+    playbar.hidden = false;
+    playBtn?.classList.add('on');
+    showFrame(0);
+  }
+
+  function stopPlay() {
+    clearInterval(playTimer);
+    playTimer = null;
+    if (playToggle) playToggle.textContent = '▶';
+  }
+
+  function backToLive() {
+    stopPlay();
+    frameIdx = -1;
+    clockMs = null;
+    frames = loadSnapshots();
+    playbar.hidden = true;
+    playBtn?.classList.remove('on');
+    applyData(assignments);
   }
 
   // interactions
@@ -440,43 +999,112 @@
   });
 
   nowBtn?.addEventListener('click', () => {
-    const nowX = xForDate(Date.now());
+    const nowX = xForDate(clock());
     const viewW = scrollOuter.clientWidth;
     scrollOuter.scrollLeft = Math.max(0, nowX - viewW/2);
   });
 
   window.addEventListener('resize', drawAll);
 
+  function setHeat(on) {
+    heatOn = on;
+    localStorage.setItem('brs-timeline-heat', on ? '1' : '0');
+    heatBtn?.classList.toggle('on', on);
+    document.body.classList.toggle('heat-on', on);
+  }
+  setHeat(heatOn);
+  heatBtn?.addEventListener('click', () => { setHeat(!heatOn); drawAll(); });
+
+  // overrides file: what the feeder reads from data/overrides.json
+  exportBtn?.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify({ overrides: manual }, null, 2) + '\n'], { type: 'application/json' });
+    const a = el('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'overrides.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+
+  importBtn?.addEventListener('click', () => importFile?.click());
+
+  importFile?.addEventListener('change', () => {
+    const file = importFile.files?.[0];
+    importFile.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const parsed = JSON.parse(text);
+      const list = Array.isArray(parsed) ? parsed : parsed?.overrides;
+      if (!Array.isArray(list)) throw new Error('expected { "overrides": [ ... ] }');
+      // the feeder's checks: keep what it would accept, say what was left out
+      const { ok, problems, expired } = checkOverrides(list, (beltRules || DEFAULT_BELT_RULES).belts);
+      if (!ok.length && problems.length) throw new Error(problems.join('; '));
+      manual = ok;
+      saveManual();
+      redraw();
+      const rejected = list.length - ok.length - expired;
+      const left = [rejected && `${rejected} rejected (${problems.join('; ')})`, expired && `${expired} expired`].filter(Boolean);
+      toast(`Imported ${ok.length} override${ok.length === 1 ? '' : 's'} from ${file.name}${left.length ? `; ${left.join(', ')}` : ''}`);
+    }).catch(err => toast(`Import failed: ${err.message}`));
+  });
+
+  clearBtn?.addEventListener('click', () => {
+    if (!manual.length || !window.confirm(`Remove ${manual.length} local override(s)?`)) return;
+    manual = [];
+    saveManual();
+    redraw();
+  });
+
+  playBtn?.addEventListener('click', () => {
+    if (frameIdx >= 0) backToLive();
+    else startPlayback(loadSnapshots());
+  });
+  liveBtn?.addEventListener('click', backToLive);
+  playSlider?.addEventListener('input', () => { stopPlay(); showFrame(Number(playSlider.value)); });
+  playPrev?.addEventListener('click', () => { stopPlay(); showFrame(frameIdx - 1); });
+  playNext?.addEventListener('click', () => { stopPlay(); showFrame(frameIdx + 1); });
+  playToggle?.addEventListener('click', () => {
+    if (playTimer) { stopPlay(); return; }
+    if (frameIdx >= frames.length - 1) showFrame(0);
+    playToggle.textContent = '❚❚';
+    playTimer = setInterval(() => {
+      if (frameIdx >= frames.length - 1) { stopPlay(); return; }
+      showFrame(frameIdx + 1);
+    }, PLAY_STEP_MS);
+  });
+
+  archiveBtn?.addEventListener('click', () => archiveFile?.click());
+  archiveFile?.addEventListener('change', () => {
+    const file = archiveFile.files?.[0];
+    archiveFile.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      stopPlay();
+      const list = parseArchive(text);
+      startPlayback(list);
+      if (list.length === 1) toast(`${file.name} holds one plan; \`node feeder/cli.js replay --frames\` turns an arrivals log into runs`);
+    }).catch(err => toast(`Can't read ${file.name}: ${err.message}`));
+  });
+
   setInterval(() => {
     updateNowLine(rowsHost.getBoundingClientRect().height || 0);
   }, 30 * 1000);
 
   // live refresh
   setInterval(() => {
-    fetch('assignments.json', { cache: 'no-store' })
-      .then(r => r.json())
+    loadAssignments()
       .then(data => {
-        if (!data) return;
-        const prevStamp = assignments?.generated_at_utc;
+        // don't redraw a puck out from under the pointer
+        if (!data || drag) return;
         assignments = data;
-
-        const normed = (data.rows || []).map(normaliseRow);
-        const deduped = dedupeFlights(normed);
-        const { flightsFiltered, tMin, tMax } = computeTimeWindow(deduped);
-
-        flights   = flightsFiltered;
-        flightsRaw = normed;
-        timeMin   = tMin;
-        timeMax   = tMax;
-
-        drawAll();
+        recordSnapshot(data);
+        if (frameIdx < 0) applyData(data);
       })
       .catch(() => {});
   }, 90 * 1000);
 
   // boot
   load().then(() => {
-    const nowX = xForDate(Date.now());
+    const nowX = xForDate(clock());
     const viewW = scrollOuter.clientWidth;
     scrollOuter.scrollLeft = Math.max(0, nowX - viewW/2);
   });
@@ -0,0 +1,581 @@
+/**
+ * feeder/allocate.js
+ *
+ * Greedy belt allocation (the default) plus the pieces every allocator
+ * shares: row prep, belt options per flight, reason labels and the plan
+ * cost used to compare allocators.
+ *
+ * All belt rules come from rules.json (see feeder/rules.js):
+ *   - classify flow from the origin via each flow's iata_origins
+ *     (the flow without iata_origins is the default, INTERNATIONAL)
+ *   - each flow spills down its own `targets` belt list
+ *   - single-target flows (CTA → 6, DOMESTIC → 7) stay on that belt
+ *     even when it clashes
+ *   - estimated bags vs belt length (pax_config.json) decide which belts
+ *     a flight fits: heavy flights try the belts they fit (belt 5) first,
+ *     belts flagged avoid_for_international go last for the default
+ *     flow (INTERNATIONAL)
+ *   - belts not listed in rules.json (belt 4) are never used
+ *   - belt opens buffers.start after ETA and runs for buffers.dwell;
+ *     buffers.cleanup is the minimum gap before the next flight
+ *   - a free belt is always preferred; when none is free a flight may
+ *     share a belt with up to max_queue_per_belt flights in total, as
+ *     long as first bags are density_minutes apart
+ *   - if every belt is at capacity, we pick the belt that clears the soonest
+ *   - rules.json outages block a belt for their window; flights that
+ *     had to skip a belt because of one get reason "outage:beltN"
+ *   - sticky (rules.json sticky): a flight keeps last run's belt while it
+ *     still has room; within lock_minutes of ETA, or landed, it is locked
+ *     and only moves if the belt becomes unusable (marked forced_move)
+ *   - each row's status is classified into a lifecycle with rules.json
+ *     status_include / status_exclude: cancelled and diverted flights
+ *     release their belt (no belt, no window); scheduled-only (and
+ *     unrecognised) flights are placed after the live ones and marked
+ *     tentative. Without an ETA their window comes from scheduled_local
+ *     resolved against the snapshot; with neither they get no belt
+ *     (reason "no_time")
+ *   - data/overrides.json (feeder/overrides.js) comes before all of the
+ *     above: pinned flights go on their belt no matter what, forbidden
+ *     belts are dropped from a flight's list, and belt blocks arrive as
+ *     extra outages. Rows a human decided get reason "override:<by>"
+ *
+ * planCost() scores any finished plan with rules.json allocation.weights:
+ *   overlaps        pairs of flights sharing a belt at the same time
+ *   over_capacity   beyond max_queue_per_belt, or first bags too close
+ *   last_resort     default flow on an avoid_for_international belt (6)
+ *   heavy_off_long  heavy flight not on the belt its bags fit (5)
+ *   walk            sum of each used belt's `walk` penalty
+ *   belt_change     flights moved off last run's belt
+ */
+
+import { resolveLondonTime } from "../docs/time.js";
+import { bagsFor, beltSizes } from "./pax.js";
+import { applyOverrides } from "./overrides.js";
+
+function classifyFlow(originIata, rules) {
+  const code = (originIata || "").toUpperCase();
+  return rules.originToFlow.get(code) || rules.defaultFlow;
+}
+
+// status text → lifecycle (rules.statusRules, first matching word wins)
+export function classifyStatus(status, rules) {
+  const s = String(status || "").toLowerCase();
+  const hit = rules.statusRules.find((r) => s.includes(r.term));
+  return hit ? hit.lifecycle : "unknown";
+}
+
+// no belt at all: the flight isn't coming
+export const RELEASED = ["cancelled", "diverted"];
+// provisional belt: FR24 has nothing live for it yet
+export const TENTATIVE = ["scheduled", "unknown"];
+
+function addMinutesIso(iso, mins) {
+  if (!iso) return null;
+  const d = new Date(iso);
+  return new Date(d.getTime() + mins * 60000).toISOString();
+}
+
+export function toMs(t) {
+  if (!t) return Infinity;
+  return +new Date(t);
+}
+
+export function overlapsOrTooClose(f1, f2) {
+  // true if times on the same belt collide or are closer than the
+  // larger of the two flows' cleanup gaps
+  const s1 = toMs(f1.start);
+  const e1 = toMs(f1.end);
+  const s2 = toMs(f2.start);
+  const e2 = toMs(f2.end);
+  const minGap = Math.max(f1._cleanup || 0, f2._cleanup || 0);
+
+  // overlap
+  if (s1 < e2 && s2 < e1) return true;
+
+  // gap check
+  const gap1 = Math.abs(s2 - e1) / 60000;
+  const gap2 = Math.abs(s1 - e2) / 60000;
+  if (gap1 < minGap || gap2 < minGap) return true;
+
+  return false;
+}
+
+export function initUsage(rules) {
+  // track which slots are already on each belt
+  const usage = {};
+  for (const id of rules.beltIds) usage[id] = [];
+
+  // outages sit on the belt like a flight that nobody can share with
+  for (const o of rules.outages) {
+    usage[o.belt].push({
+      startMs: toMs(o.from),
+      endMs: toMs(o.to),
+      flightRef: { start: o.from, end: o.to, _outage: o },
+    });
+  }
+  for (const id of rules.beltIds) {
+    usage[id].sort((a, b) => a.startMs - b.startMs);
+  }
+  return usage;
+}
+
+// the outage slot (if any) that stops this flight using the belt
+function blockingOutage(flight, belt, usage) {
+  const slots = usage[belt] || [];
+  const hit = slots.find(
+    (slot) =>
+      slot.flightRef._outage && overlapsOrTooClose(flight, slot.flightRef)
+  );
+  return hit ? hit.flightRef._outage : null;
+}
+
+// can `flight` go on `belt` with at most `maxQueue` flights running at once
+// (itself included)? Outages always block; first bags on the same belt need
+// density_minutes between them.
+function beltHasRoom(flight, belt, usage, rules, maxQueue) {
+  const s = toMs(flight.start);
+  const densityMs = rules.densityMinutes * 60000;
+  const clashing = [];
+
+  for (const slot of usage[belt] || []) {
+    const other = slot.flightRef;
+    if (!overlapsOrTooClose(flight, other)) continue;
+    if (other._outage) return false;
+    if (Math.abs(slot.startMs - s) < densityMs) return false;
+    clashing.push(slot);
+  }
+
+  if (clashing.length === 0) return true;
+  if (clashing.length < maxQueue) return true;
+
+  // more overlaps than capacity, but they may not all run at the same
+  // moment: peak load is reached at our start or at one of theirs
+  const gapMs = Math.max(flight._cleanup || 0, 0) * 60000;
+  const points = [s, ...clashing.map((c) => c.startMs).filter((t) => t > s)];
+  for (const p of points) {
+    const running = clashing.filter(
+      (c) =>
+        c.startMs <= p &&
+        p < c.endMs + Math.max(gapMs, (c.flightRef._cleanup || 0) * 60000)
+    ).length;
+    if (running + 1 > maxQueue) return false;
+  }
+  return true;
+}
+
+// belt completely free for this flight (no sharing)
+export function canPlaceOnBeltStrict(flight, belt, usage, rules) {
+  return beltHasRoom(flight, belt, usage, rules, 1);
+}
+
+// belt has spare capacity (max_queue_per_belt) for this flight
+export function canShareBelt(flight, belt, usage, rules) {
+  return beltHasRoom(flight, belt, usage, rules, rules.maxQueuePerBelt);
+}
+
+function recordPlacement(flight, belt, reason, usage) {
+  flight.belt = belt;
+  if (reason) flight.reason = reason;
+  usage[belt].push({
+    startMs: toMs(flight.start),
+    endMs: toMs(flight.end),
+    flightRef: flight,
+  });
+  usage[belt].sort((a, b) => a.startMs - b.startMs);
+}
+
+function earliestClearingBelt(order, usage) {
+  // pick belt whose latest assigned flight ends the soonest
+  let bestBelt = order[0];
+  let bestEnd = Infinity;
+
+  for (const b of order) {
+    const arr = (usage[b] || []).filter((slot) => !slot.flightRef._outage);
+    const last = arr[arr.length - 1];
+    const endMs = last ? last.endMs : 0;
+    if (endMs < bestEnd) {
+      bestEnd = endMs;
+      bestBelt = b;
+    }
+  }
+  return bestBelt;
+}
+
+// belt flagged avoid_for_international, and `f` is in the default flow
+// (INTERNATIONAL: the flow that has no iata_origins of its own)
+function avoidedFor(f, belt, sizes, rules) {
+  return (
+    f.flow === rules.defaultFlow &&
+    Boolean(sizes.get(belt)?.avoid_for_international)
+  );
+}
+
+// Reorder a flow's belts for this flight: belts its bags fit on first
+// (heavy flights → long belt), then belts it would overload, largest
+// first, and for the default flow any avoid_for_international belt (6)
+// at the very end. Otherwise order stays as rules.json has it.
+function beltPreference(f, targets, sizes, rules) {
+  const bags = f._bags;
+  const cap = (b) => sizes.get(b)?.capacity ?? null;
+  const fits = (b) => bags == null || cap(b) == null || bags <= cap(b);
+
+  const rank = (b) => (avoidedFor(f, b, sizes, rules) ? 2 : fits(b) ? 0 : 1);
+  // too many bags for any belt: the biggest one overloads least
+  const bigger = (x, y) => (x.r === 1 ? cap(y.b) - cap(x.b) : 0);
+  return targets
+    .map((b, i) => ({ b, i, r: rank(b) }))
+    .sort((x, y) => x.r - y.r || bigger(x, y) || x.i - y.i)
+    .map((x) => x.b);
+}
+
+// "(199 bags / 100 m)" — the figures behind a size-driven choice
+function sizeNote(f, belt, sizes) {
+  const len = sizes.get(belt)?.length;
+  if (f._bags == null || !len) return "";
+  return ` (${f._bags} bags / ${len} m)`;
+}
+
+// normalise times, flow and lifecycle for each row; `refMs` is the
+// snapshot a bare scheduled_local is resolved against
+function prepRow(r, rules, refMs) {
+  const flow = classifyFlow(r.origin_iata, rules);
+  const { buffers } = rules.flows[flow];
+  r.flow = flow;
+  r._cleanup = buffers.cleanup;
+  r.lifecycle = classifyStatus(r.status, rules);
+  r.tentative = TENTATIVE.includes(r.lifecycle);
+
+  // released flights keep their ETA but hold no belt window
+  if (RELEASED.includes(r.lifecycle)) {
+    r.start = null;
+    r.end = null;
+    return r;
+  }
+
+  // belt window is ETA+start to ETA+start+dwell; scheduled-only rows
+  // FR24 has no ETA for yet go by their scheduled time
+  let base = r.eta;
+  if (!base) {
+    const sched = resolveLondonTime(r.scheduled_local, refMs);
+    base = sched === null ? null : new Date(sched).toISOString();
+  }
+  r.start = addMinutesIso(base, buffers.start);
+  r.end = addMinutesIso(base, buffers.start + buffers.dwell);
+
+  return r;
+}
+
+// Everything about one flight's belt choice that doesn't depend on the
+// other flights: preference order, belts lost to outages, what it may use.
+export function flightOptions(f, rules, sizes, usage) {
+  const { tag, targets } = rules.flows[f.flow];
+
+  // belts in this flow's list that are out of service for this window:
+  // belt → the outage (or override block) responsible
+  const blocked = new Map();
+  for (const b of targets) {
+    const o = blockingOutage(f, b, usage);
+    if (o) blocked.set(b, o);
+  }
+
+  // belts a duty manager has forbidden for this flight: belt → who
+  const forbidden = f._forbid || new Map();
+  const usable = (b) => !blocked.has(b) && !forbidden.has(b);
+
+  // the order we'd have liked for this flight's size
+  const preferred = beltPreference(f, targets, sizes, rules);
+
+  // pinned by a duty manager; otherwise single-target flows
+  // (DOMESTIC → 7, CTA → 6) have no alternative
+  let fixed = null;
+  if (f._pin) fixed = f._pin.belt;
+  else if (targets.length === 1 && usable(targets[0])) fixed = targets[0];
+
+  // belts we may actually use, best first. If the flow's own belts are
+  // all out, spill down the default flow.
+  const inService = preferred.filter(usable);
+  const order = f._pin
+    ? [f._pin.belt]
+    : inService.length
+      ? inService
+      : rules.flows[rules.defaultFlow].targets.filter(
+          (b) => !forbidden.has(b) && !blockingOutage(f, b, usage)
+        );
+
+  return {
+    tag,
+    targets,
+    preferred,
+    blocked,
+    forbidden,
+    pin: f._pin || null,
+    fixed,
+    order,
+    // heavy = too many bags for the flow's first-choice belt
+    heavy: preferred[0] !== targets[0],
+  };
+}
+
+// Reason label for `f` on `belt`. `busy` = placed beyond capacity.
+export function reasonFor(f, belt, opts, sizes, busy = false) {
+  const { tag, preferred, blocked, forbidden, pin, heavy, fixed } = opts;
+
+  if (pin) return `override:${pin.by}`;
+  if (fixed !== null) return `${tag}→${fixed}`;
+
+  // "outage:beltN" if an outage pushed us past a belt we preferred;
+  // "override:<by>" if that was a duty manager's block or forbid
+  const i = preferred.indexOf(belt);
+  const ahead = i < 0 ? preferred : preferred.slice(0, i);
+  const skipped = ahead.find((b) => blocked.has(b) || forbidden.has(b));
+  if (skipped !== undefined) {
+    if (forbidden.has(skipped)) return `override:${forbidden.get(skipped)}`;
+    const o = blocked.get(skipped);
+    return o.by ? `override:${o.by}` : `outage:belt${skipped}`;
+  }
+
+  if (belt === null || belt === "") return "no_belt";
+  if (busy) return "fallback_busy";
+  if (heavy && belt === preferred[0]) {
+    return `heavy→${belt}${sizeNote(f, belt, sizes)}`;
+  }
+  if (heavy) return `${tag}_spread${sizeNote(f, belt, sizes)}`;
+  return `${tag}_spread`;
+}
+
+// same flight leg across runs: ETA moves, flight/origin/schedule don't
+export function flightKey(r) {
+  const flight = String(r.flight || "").replace(/\s+/g, "").toUpperCase();
+  const origin = String(r.origin_iata || "").toUpperCase();
+  return `${flight}|${origin}|${r.scheduled_local || ""}`;
+}
+
+// locked = within lock_minutes of ETA, or already landed
+function isLocked(r, rules, nowMs) {
+  if (r.lifecycle === "landed") return true;
+  const eta = toMs(r.eta);
+  if (!Number.isFinite(eta)) return false;
+  return eta - nowMs <= rules.sticky.lockMinutes * 60000;
+}
+
+// attach last run's belt (_prevBelt) and lock state (_locked) to each row
+function applyPrevious(rows, rules, previous, nowMs) {
+  if (!rules.sticky.enabled || !previous) return;
+  for (const r of rows) {
+    const prev = previous.get(flightKey(r));
+    if (!prev || prev.belt === "" || prev.belt == null) continue;
+    r._prevBelt = Number(prev.belt);
+    r._locked = isLocked(r, rules, nowMs);
+  }
+}
+
+// flag a locked flight that still had to leave its belt (a pin, a
+// forbid or a duty manager's block is a deliberate move, not a forced
+// one); `opts` is the flight's flightOptions()
+export function markForcedMove(f, opts) {
+  const deliberate =
+    f._pin ||
+    f._forbid?.has(f._prevBelt) ||
+    Boolean(opts?.blocked.get(f._prevBelt)?.by);
+  f.forced_move = Boolean(
+    f._locked && !deliberate && f._prevBelt != null && f.belt !== f._prevBelt
+  );
+  if (!f.forced_move) return;
+  f.reason = `forced_move:${f._prevBelt}→${f.belt || "?"} (${f.reason})`;
+}
+
+// the reason a placement was made for, without markForcedMove's
+// wrapper: "forced_move:6→1 (fallback_busy)" → "fallback_busy"
+export function baseReason(reason) {
+  const m = /^forced_move:\S* \((.*)\)$/.exec(String(reason || ""));
+  return m ? m[1] : String(reason || "");
+}
+
+// clone rows, classify, set windows + bag estimates; sorted by start
+export function prepRows(allRows, rules, paxConfig = {}, refMs = Date.now()) {
+  const rows = allRows.map((r) => ({ ...r }));
+  for (const r of rows) {
+    prepRow(r, rules, refMs);
+    r._bags = bagsFor(r, paxConfig);
+  }
+  rows.sort((a, b) => toMs(a.start) - toMs(b.start));
+  return rows;
+}
+
+/**
+ * Greedy allocation.
+ * options.previous: Map flightKey → { belt } from last run (sticky)
+ * options.now:      reference time for locking (ms), default Date.now()
+ * options.refMs:    snapshot time (ms) a scheduled-only row's bare
+ *                   scheduled_local is resolved against, default now
+ * options.overrides: compiled data/overrides.json (feeder/overrides.js);
+ *                    its pins and forbids are applied here, its blocks
+ *                    must already be in rules.outages (withBlocks)
+ */
+export function assignBelts(allRows, rules, paxConfig = {}, options = {}) {
+  const sizes = beltSizes(paxConfig);
+  const nowMs = options.now ?? Date.now();
+  const rows = prepRows(allRows, rules, paxConfig, options.refMs ?? nowMs);
+  const usage = initUsage(rules);
+  applyPrevious(rows, rules, options.previous, nowMs);
+  applyOverrides(rows, options.overrides);
+
+  // cancelled / diverted: belt released, nothing to place
+  for (const f of rows.filter((r) => RELEASED.includes(r.lifecycle))) {
+    f.belt = "";
+    f.reason = f.lifecycle;
+    f._locked = false;
+  }
+  // no ETA and no scheduled time: nothing to place it by
+  const untimed = (f) =>
+    !RELEASED.includes(f.lifecycle) && !Number.isFinite(toMs(f.start));
+  for (const f of rows.filter(untimed)) {
+    f.belt = "";
+    f.reason = "no_time";
+    f._locked = false;
+  }
+  const live = rows.filter(
+    (f) => !RELEASED.includes(f.lifecycle) && !untimed(f)
+  );
+
+  // pinned flights claim their belts first, then locked flights, then
+  // live flights in start order, then tentative (scheduled-only) ones
+  const rest = live.filter((f) => !f._pin && !f._locked);
+  const ordered = [
+    ...live.filter((f) => f._pin),
+    ...live.filter((f) => !f._pin && f._locked),
+    ...rest.filter((f) => !f.tentative),
+    ...rest.filter((f) => f.tentative),
+  ];
+
+  for (const f of ordered) {
+    const opts = flightOptions(f, rules, sizes, usage);
+
+    // pinned / single-target flows: place on that belt even if it overlaps
+    if (opts.fixed !== null) {
+      const reason = reasonFor(f, opts.fixed, opts, sizes);
+      recordPlacement(f, opts.fixed, reason, usage);
+      markForcedMove(f, opts);
+      continue;
+    }
+
+    // sticky: stay on last run's belt if we still may use it. Locked
+    // flights stay regardless of load (fallback_busy if it has no room);
+    // others only while it has room.
+    const prev = f._prevBelt;
+    const room = prev != null && canShareBelt(f, prev, usage, rules);
+    if (prev != null && opts.order.includes(prev) && (f._locked || room)) {
+      const reason = reasonFor(f, prev, opts, sizes, !room);
+      recordPlacement(f, prev, reason, usage);
+      continue;
+    }
+
+    // try the belts in preference order, skipping any that collide.
+    // First pass wants a belt to itself; second pass shares up to capacity
+    let placed = false;
+    for (const fits of [canPlaceOnBeltStrict, canShareBelt]) {
+      const b = opts.order.find((belt) => fits(f, belt, usage, rules));
+      if (b !== undefined) {
+        recordPlacement(f, b, reasonFor(f, b, opts, sizes), usage);
+        placed = true;
+        break;
+      }
+    }
+
+    if (!placed && opts.order.length) {
+      // every belt is at capacity for that window:
+      // pick the one that clears first
+      const fb = earliestClearingBelt(opts.order, usage);
+      recordPlacement(f, fb, reasonFor(f, fb, opts, sizes, true), usage);
+    } else if (!placed) {
+      // every belt we could use is out of service: leave it unassigned
+      f.belt = "";
+      f.reason = reasonFor(f, null, opts, sizes);
+    }
+    markForcedMove(f, opts);
+  }
+
+  return rows;
+}
+
+// ---- plan cost ----
+
+export const COST_TERMS = [
+  "overlaps",
+  "over_capacity",
+  "last_resort",
+  "heavy_off_long",
+  "walk",
+  "belt_change",
+];
+
+export function weighCost(counts, weights) {
+  return COST_TERMS.reduce((sum, k) => sum + (counts[k] || 0) * weights[k], 0);
+}
+
+// overlaps / over_capacity for the flights on one belt
+export function beltClashCounts(list, rules) {
+  const sorted = list
+    .filter((f) => Number.isFinite(toMs(f.start)))
+    .sort((a, b) => toMs(a.start) - toMs(b.start));
+  const densityMs = rules.densityMinutes * 60000;
+  const counts = { overlaps: 0, over_capacity: 0 };
+
+  for (let j = 0; j < sorted.length; j++) {
+    const f = sorted[j];
+    const s = toMs(f.start);
+    let running = 0;
+    for (let i = 0; i < j; i++) {
+      const g = sorted[i];
+      if (!overlapsOrTooClose(f, g)) continue;
+      counts.overlaps++;
+      if (Math.abs(s - toMs(g.start)) < densityMs) counts.over_capacity++;
+      const gapMs = Math.max(f._cleanup || 0, g._cleanup || 0) * 60000;
+      if (toMs(g.start) <= s && s < toMs(g.end) + gapMs) running++;
+    }
+    if (running + 1 > rules.maxQueuePerBelt) {
+      counts.over_capacity += running + 1 - rules.maxQueuePerBelt;
+    }
+  }
+  return counts;
+}
+
+// last_resort / heavy_off_long / walk / belt_change for one flight
+// on one belt
+export function flightCostCounts(f, belt, opts, sizes, rules) {
+  return {
+    belt_change: f._prevBelt != null && belt !== f._prevBelt ? 1 : 0,
+    last_resort: avoidedFor(f, belt, sizes, rules) ? 1 : 0,
+    heavy_off_long: opts.heavy && belt !== opts.preferred[0] ? 1 : 0,
+    walk: rules.beltWalk.get(belt) || 0,
+  };
+}
+
+/**
+ * Score a finished plan (rows with belt + start/end, as returned by
+ * assignBelts). Returns the raw counts per term plus the weighted total.
+ */
+export function planCost(rows, rules, paxConfig = {}) {
+  const sizes = beltSizes(paxConfig);
+  const outagesOnly = initUsage(rules);
+  const counts = Object.fromEntries(COST_TERMS.map((k) => [k, 0]));
+
+  const byBelt = new Map();
+  for (const f of rows) {
+    if (f.belt === "" || f.belt == null) continue;
+    if (!Number.isFinite(toMs(f.start))) continue;
+    if (!byBelt.has(f.belt)) byBelt.set(f.belt, []);
+    byBelt.get(f.belt).push(f);
+
+    const opts = flightOptions(f, rules, sizes, outagesOnly);
+    const fc = flightCostCounts(f, f.belt, opts, sizes, rules);
+    for (const k of Object.keys(fc)) counts[k] += fc[k];
+  }
+  for (const list of byBelt.values()) {
+    const bc = beltClashCounts(list, rules);
+    counts.overlaps += bc.overlaps;
+    counts.over_capacity += bc.over_capacity;
+  }
+
+  return { ...counts, total: weighCost(counts, rules.allocation.weights) };
+}
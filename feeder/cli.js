@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/**
+ * feeder/cli.js
+ *
+ * One entry point for the whole pipeline (replaces run_feeder.bat):
+ *
+ *   node feeder/cli.js ingest    raw FR24 capture → arrivals rows
+ *   node feeder/cli.js allocate  arrivals → docs/assignments.json
+ *   node feeder/cli.js publish   commit + push docs/assignments.json
+ *   node feeder/cli.js run       git pull, ingest, allocate, publish
+ *   node feeder/cli.js history   the plan as it stood at --at (archive)
+ *   node feeder/cli.js replay    archived arrivals → KPI report
+ *
+ * `run` ingests only when a raw capture exists (--raw, default
+ * feeder/raw/raw-arrivals.json); otherwise it re-allocates the current
+ * docs/assignments.json in place, as run_feeder.bat used to.
+ *
+ * allocate refuses to write a plan that fails feeder/schema.js (the last
+ * good file stays, exit 1, nothing is published); --force lets a plan
+ * that only trips a publish guard through. publish re-checks the file
+ * against the schema before committing it.
+ *
+ * Exit codes: 0 ok (including "nothing to publish"), 1 a step failed,
+ * 2 bad command line. Logs are JSON lines in --log (see feeder/log.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { createLogger } from "./log.js";
+import { ingestRaw, RAW_PATH, ARRIVALS_PATH } from "./ingest.js";
+import { allocateAssignments, ASSIGNMENTS_PATH } from "./fr24_feeder.js";
+import { publish, syncRepo, REPO_ROOT } from "./publish.js";
+import { RULES_PATH, loadRules } from "./rules.js";
+import { OVERRIDES_PATH } from "./overrides.js";
+import { checkAssignmentsFile } from "./schema.js";
+import { loadPaxConfig, PAX_CONFIG_PATH } from "./pax.js";
+import { DROPPED_DEBUG_PATH } from "./fr24_parse.js";
+import { historyEntry, planAt, londonDate } from "./history.js";
+import {
+  loadArchivedRows,
+  replayArrivals,
+  ALLOC_LOG_PATH,
+} from "./replay.js";
+import { londonHHMM, londonWallToUtc, parseHHMM } from "../docs/time.js";
+
+const COMMANDS = [
+  "ingest",
+  "allocate",
+  "publish",
+  "run",
+  "history",
+  "replay",
+];
+
+const USAGE = `usage: node feeder/cli.js <${COMMANDS.join("|")}> [options]
+
+  --raw <file>         raw FR24 capture (ingest)
+  --arrivals <file>    ingest output / allocate input when ingesting
+  --dropped <file>     unparsed blocks (default docs/fr24_dropped_debug.json)
+  --in <file>          allocate input (default: --out, i.e. in place);
+                       replay input (default docs/alloc-log.json)
+  --out <file>         assignments file (default docs/assignments.json)
+  --rules <file>       rules file (default rules.json)
+  --overrides <file>   overrides file (default data/overrides.json)
+  --pax-config <file>  pax config (default data/pax_config.json)
+  --remote <name>      git remote (default origin)
+  --branch <name>      git branch (default main)
+  --no-push            commit but don't push
+  --no-git             run: skip git pull and publish
+  --force              allocate: write even if a publish guard trips
+  --history <dir>      run archive (default rules.json history.dir)
+  --at <time>          history: "14:30" (London) or an ISO time
+  --date <yyyy-mm-dd>  history: day for a bare --at (default today)
+  --flight <number>    history: only this flight
+  --belt <id>          history: only this belt
+  --step <minutes>     replay: minutes between simulated runs (default 1)
+  --report <file>      replay: also write the KPI report here
+  --frames <file>      replay: write each run whose plan changed as
+                       NDJSON (history format, for timeline playback)
+  --log <file>         append JSON log lines to this file
+  --json               print JSON log lines instead of text
+  -h, --help           this help`;
+
+const PATH_OPTIONS = [
+  "raw",
+  "arrivals",
+  "dropped",
+  "in",
+  "out",
+  "rules",
+  "overrides",
+  "pax-config",
+  "history",
+  "report",
+  "frames",
+  "log",
+];
+
+const OPTIONS = {
+  raw: { type: "string" },
+  arrivals: { type: "string", default: ARRIVALS_PATH },
+  dropped: { type: "string", default: DROPPED_DEBUG_PATH },
+  in: { type: "string" },
+  out: { type: "string", default: ASSIGNMENTS_PATH },
+  rules: { type: "string", default: RULES_PATH },
+  overrides: { type: "string", default: OVERRIDES_PATH },
+  "pax-config": { type: "string", default: PAX_CONFIG_PATH },
+  remote: { type: "string", default: "origin" },
+  branch: { type: "string", default: "main" },
+  "no-push": { type: "boolean", default: false },
+  "no-git": { type: "boolean", default: false },
+  force: { type: "boolean", default: false },
+  history: { type: "string" },
+  at: { type: "string" },
+  date: { type: "string" },
+  flight: { type: "string" },
+  belt: { type: "string" },
+  step: { type: "string", default: "1" },
+  report: { type: "string" },
+  frames: { type: "string" },
+  log: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+function ingest(opts, log) {
+  const { horizonMinutes } = loadRules(opts.rules);
+  const counts = ingestRaw({
+    rawPath: opts.raw || RAW_PATH,
+    outPath: opts.arrivals,
+    droppedPath: opts.dropped,
+    horizonMinutes,
+  });
+  log.info("arrivals written", { out: opts.arrivals, ...counts });
+}
+
+function allocate(opts, log) {
+  allocateAssignments({
+    inPath: opts.in || opts.out,
+    outPath: opts.out,
+    rulesPath: opts.rules,
+    overridesPath: opts.overrides,
+    paxConfigPath: opts["pax-config"],
+    historyDir: opts.history,
+    force: opts.force,
+    log,
+  });
+}
+
+// --at "14:30" (+ --date) or a full ISO time → ms
+function queryTime(opts) {
+  const hhmm = parseHHMM(opts.at);
+  if (!hhmm) {
+    const ms = Date.parse(opts.at);
+    if (Number.isNaN(ms)) throw new Error(`--at is not a time: ${opts.at}`);
+    return ms;
+  }
+  const date = opts.date || londonDate(Date.now());
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (!m) throw new Error(`--date must be YYYY-MM-DD: ${date}`);
+  const [y, mo, d] = m.slice(1).map(Number);
+  return londonWallToUtc(y, mo - 1, d, ...hhmm);
+}
+
+function history(opts, log) {
+  if (!opts.at) throw new Error("history needs --at");
+  const { history: cfg } = loadRules(opts.rules);
+  const atMs = queryTime(opts);
+  const plan = planAt(atMs, {
+    dir: opts.history || path.resolve(REPO_ROOT, cfg.dir),
+    flight: opts.flight,
+    belt: opts.belt,
+  });
+  if (!plan) {
+    const when = `${londonDate(atMs)} ${londonHHMM(atMs)}`;
+    throw new Error(`no run recorded at or before ${when}`);
+  }
+
+  // --json: the whole answer as one log line
+  if (opts.json) {
+    log.info("plan", plan);
+    return;
+  }
+  log.info(`plan as of run ${plan.run_at_local}`, {
+    mode: plan.mode,
+    rows: plan.rows.length,
+  });
+  for (const r of plan.rows) {
+    const when = r.start
+      ? `${londonHHMM(r.start)}-${londonHHMM(r.end)}`
+      : "no window";
+    const belt = r.belt === "" || r.belt === null ? "-" : r.belt;
+    console.log(
+      `${r.flight.padEnd(8)} ${(r.origin_iata || "").padEnd(3)} ` +
+        `belt ${String(belt).padEnd(2)} ${when}  ${r.reason}`
+    );
+  }
+}
+
+function replay(opts, log) {
+  const step = Number(opts.step);
+  if (!Number.isInteger(step) || step < 1) {
+    throw new Error(`--step must be a whole number of minutes: ${opts.step}`);
+  }
+  const inPath = opts.in || ALLOC_LOG_PATH;
+  const rules = loadRules(opts.rules);
+
+  // --frames: one history line per run, skipping runs that changed nothing
+  const frames = [];
+  let lastRows = "";
+  const onRun = (t, plan) => {
+    const entry = historyEntry(
+      {
+        generated_at_utc: new Date(t).toISOString(),
+        mode: rules.allocation.mode,
+        outages: rules.outages,
+        rows: plan,
+      },
+      t
+    );
+    const rows = JSON.stringify(entry.rows);
+    if (rows === lastRows) return;
+    lastRows = rows;
+    frames.push(JSON.stringify(entry));
+  };
+
+  const report = replayArrivals(
+    loadArchivedRows(inPath),
+    rules,
+    loadPaxConfig(opts["pax-config"]),
+    { stepMinutes: step, onRun: opts.frames ? onRun : undefined }
+  );
+  report.source = inPath;
+  report.rules = opts.rules;
+
+  const { fixed_clashes: fixed, ...kpis } = report.kpis;
+  log.info(`replayed ${report.flights} flights`, {
+    from: report.from,
+    to: report.to,
+    runs: report.runs,
+    mode: rules.allocation.mode,
+  });
+  log.info("kpis", { ...kpis, fixed_clashes: fixed.total, ...fixed.by_flow });
+  for (const [belt, b] of Object.entries(report.belts)) {
+    log.info(`belt ${belt}`, b);
+  }
+  log.info(`cost ${report.cost.total}`);
+
+  if (opts.report) {
+    fs.writeFileSync(opts.report, JSON.stringify(report, null, 2), "utf8");
+    log.info("report written", { out: opts.report });
+  }
+  if (opts.frames) {
+    fs.writeFileSync(opts.frames, frames.join("\n") + "\n", "utf8");
+    log.info("frames written", { out: opts.frames, frames: frames.length });
+  }
+}
+
+// git wants repo-relative paths with forward slashes, also on Windows
+function repoPath(file) {
+  return path.relative(REPO_ROOT, file).split(path.sep).join("/");
+}
+
+function publishOpts(opts, log, files = [opts.out]) {
+  return {
+    root: REPO_ROOT,
+    files: files.map(repoPath),
+    remote: opts.remote,
+    branch: opts.branch,
+    push: !opts["no-push"],
+    log,
+  };
+}
+
+// never push a file the board can't read
+async function publishChecked(opts, log, files) {
+  checkAssignmentsFile(opts.out, loadRules(opts.rules));
+  await publish(publishOpts(opts, log, files));
+}
+
+async function runAll(opts, log) {
+  const git = !opts["no-git"];
+  if (git) syncRepo(publishOpts(opts, log.child("publish")));
+
+  const raw = opts.raw || RAW_PATH;
+  if (fs.existsSync(raw)) {
+    ingest({ ...opts, raw }, log.child("ingest"));
+    allocate({ ...opts, in: opts.arrivals }, log.child("allocate"));
+  } else if (opts.raw) {
+    throw new Error(`raw capture not found: ${opts.raw}`);
+  } else {
+    log.warn("no raw capture, re-allocating in place", { raw });
+    allocate(opts, log.child("allocate"));
+  }
+
+  if (git) {
+    const files = [opts.out];
+    if (fs.existsSync(opts.dropped)) files.push(opts.dropped);
+    await publishChecked(opts, log.child("publish"), files);
+  }
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...extra] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS.includes(command) || extra.length) {
+    const what = command
+      ? `unknown command: ${positionals.join(" ")}`
+      : "no command";
+    console.error(`${what}\n\n${USAGE}`);
+    return 2;
+  }
+
+  // paths are relative to where the CLI was started
+  const opts = { ...values };
+  for (const k of PATH_OPTIONS) {
+    if (opts[k]) opts[k] = path.resolve(opts[k]);
+  }
+
+  const log = createLogger({ scope: "cli", file: opts.log, json: opts.json });
+  const t0 = Date.now();
+  log.info(`${command} start`);
+  try {
+    if (command === "ingest") ingest(opts, log.child("ingest"));
+    if (command === "allocate") allocate(opts, log.child("allocate"));
+    if (command === "publish") {
+      await publishChecked(opts, log.child("publish"));
+    }
+    if (command === "run") await runAll(opts, log);
+    if (command === "history") history(opts, log.child("history"));
+    if (command === "replay") replay(opts, log.child("replay"));
+  } catch (err) {
+    log.error(err.message, { command });
+    return 1;
+  }
+  log.info(`${command} done`, { ms: Date.now() - t0 });
+  return 0;
+}
+
+// only when run directly, not when imported
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  process.exitCode = await main();
+}
@@ -0,0 +1,184 @@
+/**
+ * feeder/conflicts.js
+ *
+ * Belt conflicts in a finished plan, published as the top-level
+ * `conflicts` array of docs/assignments.json so the board can flag them
+ * before the bags do.
+ *
+ * A conflict is a group of flights whose belt windows overlap on one
+ * belt. Each entry:
+ *
+ *   { "belt": 7, "flights": ["BE1234", "LM567"],
+ *     "from": "...", "to": "...", "overlap_min": 12, "peak": 2,
+ *     "severity": "medium", "cause": "fixed_flow",
+ *     "suggested_flight": "LM567", "suggested_belt": 3 }
+ *
+ *   severity high    more flights at once than max_queue_per_belt, first
+ *                    bags closer than density_minutes, or a flight put
+ *                    there as fallback_busy
+ *            medium  a single-target flow (DOMESTIC → 7, CTA → 6) or a
+ *                    pinned flight forced onto a belt in use
+ *            low     sharing the allocator chose, within capacity
+ *
+ * The suggestion is the first belt that is completely free for one of
+ * the flights (latest first, locked flights last), among the belts the
+ * allocator would give it: its own flow's, or the default flow's when
+ * those are all out. null when none is free.
+ */
+
+import { beltSizes } from "./pax.js";
+import {
+  baseReason,
+  canPlaceOnBeltStrict,
+  flightOptions,
+  initUsage,
+  toMs,
+} from "./allocate.js";
+
+const MINUTE = 60000;
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
+
+const windowsMeet = (f, g) =>
+  toMs(f.start) < toMs(g.end) && toMs(g.start) < toMs(f.end);
+
+// split one belt's flights into groups that overlap, directly or via
+// a chain (A meets B, B meets C)
+function overlapGroups(list) {
+  const sorted = [...list].sort((a, b) => toMs(a.start) - toMs(b.start));
+  const groups = [];
+  let cur = [];
+  let curEnd = -Infinity;
+  for (const f of sorted) {
+    if (cur.length && toMs(f.start) >= curEnd) {
+      if (cur.length > 1) groups.push(cur);
+      cur = [];
+      curEnd = -Infinity;
+    }
+    cur.push(f);
+    curEnd = Math.max(curEnd, toMs(f.end));
+  }
+  if (cur.length > 1) groups.push(cur);
+  return groups;
+}
+
+// when two or more run at once: first / last moment, total minutes, peak
+function overlapWindow(group) {
+  const events = group
+    .flatMap((f) => [
+      [toMs(f.start), 1],
+      [toMs(f.end), -1],
+    ])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let running = 0;
+  let peak = 0;
+  let from = null;
+  let to = null;
+  let sinceMs = null;
+  let totalMs = 0;
+  for (const [t, d] of events) {
+    if (running >= 2) totalMs += t - sinceMs;
+    running += d;
+    sinceMs = t;
+    peak = Math.max(peak, running);
+    if (running >= 2 && from === null) from = t;
+    if (running === 1 && d === -1 && from !== null) to = t;
+  }
+  return { from, to, overlapMin: Math.round(totalMs / MINUTE), peak };
+}
+
+function severityOf(group, peak, opts, rules) {
+  const densityMs = rules.densityMinutes * MINUTE;
+  const tooClose = group.some((f, i) =>
+    group
+      .slice(i + 1)
+      .some(
+        (g) =>
+          windowsMeet(f, g) &&
+          Math.abs(toMs(f.start) - toMs(g.start)) < densityMs
+      )
+  );
+  const busy = group.some((f) => baseReason(f.reason) === "fallback_busy");
+  if (peak > rules.maxQueuePerBelt || tooClose || busy) {
+    return { severity: "high", cause: busy ? "fallback_busy" : "capacity" };
+  }
+  if (group.some((f) => opts.get(f).fixed !== null)) {
+    return { severity: "medium", cause: "fixed_flow" };
+  }
+  return { severity: "low", cause: "shared" };
+}
+
+// first free belt for one of the flights, or null
+function suggestMove(group, placed, rules, opts) {
+  const candidates = [...group].sort(
+    (a, b) =>
+      Number(Boolean(a._locked || a._pin)) -
+        Number(Boolean(b._locked || b._pin)) ||
+      toMs(b.start) - toMs(a.start)
+  );
+  for (const f of candidates) {
+    const usage = initUsage(rules);
+    for (const g of placed) {
+      if (g === f) continue;
+      usage[g.belt].push({
+        startMs: toMs(g.start),
+        endMs: toMs(g.end),
+        flightRef: g,
+      });
+    }
+    // opts.order: no forbidden or out-of-service belts, spill included
+    const belt = opts
+      .get(f)
+      .order.find(
+        (b) => b !== f.belt && canPlaceOnBeltStrict(f, b, usage, rules)
+      );
+    if (belt !== undefined) return { flight: f.flight, belt };
+  }
+  return null;
+}
+
+/**
+ * Conflicts in an allocated plan (rows as returned by assignBelts /
+ * optimiseBelts). Worst first, then by time.
+ */
+export function findConflicts(rows, rules, paxConfig = {}) {
+  const sizes = beltSizes(paxConfig);
+  const outagesOnly = initUsage(rules);
+  const placed = rows.filter(
+    (f) =>
+      f.belt !== "" &&
+      f.belt != null &&
+      Number.isFinite(toMs(f.start)) &&
+      Number.isFinite(toMs(f.end))
+  );
+  const opts = new Map(
+    placed.map((f) => [f, flightOptions(f, rules, sizes, outagesOnly)])
+  );
+
+  const conflicts = [];
+  for (const belt of rules.beltIds) {
+    const onBelt = placed.filter((f) => f.belt === belt);
+    for (const group of overlapGroups(onBelt)) {
+      const { from, to, overlapMin, peak } = overlapWindow(group);
+      const { severity, cause } = severityOf(group, peak, opts, rules);
+      const move = suggestMove(group, placed, rules, opts);
+      conflicts.push({
+        belt,
+        flights: group.map((f) => f.flight),
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        overlap_min: overlapMin,
+        peak,
+        severity,
+        cause,
+        suggested_flight: move ? move.flight : null,
+        suggested_belt: move ? move.belt : null,
+      });
+    }
+  }
+
+  return conflicts.sort(
+    (a, b) =>
+      SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+      Date.parse(a.from) - Date.parse(b.from)
+  );
+}
@@ -1,299 +1,155 @@
 /**
  * feeder/fr24_feeder.js
  *
- * STEP 2: post-process docs/assignments.json
+ * STEP 2 ("allocate"): post-process the arrivals into docs/assignments.json
  *
- * We:
- *   - classify flow as CTA / DOMESTIC / INTERNATIONAL
- *   - set belt rules (1,2,3,5,6 normal, 6 for CTA, 7 for DOMESTIC)
- *   - prioritise heavy (Jet2 / TUI / big pax) on belt 5 if it's free
- *   - forbid belt 4 completely
- *   - open belt 15 min after ETA, close 45 min after ETA
- *   - if belts clash, we pick the belt that clears the soonest
+ *   - eta / eta_local / delay_min are re-derived as Europe/London times
+ *     against the snapshot time (docs/time.js)
+ *   - rows whose "flight" isn't a flight number (scraped page text) are
+ *     dropped with a warning
+ *   - duplicate legs / codeshares are merged to one row per flight leg
+ *     (feeder/legs.js), also for input that didn't come through ingest
+ *   - pax_estimate / pax_basis come from data/pax_config.json (feeder/pax.js)
+ *   - lifecycle, flow, belt (tentative or not), start/end and reason
+ *     come from the allocator (feeder/allocate.js), driven by rules.json
+ *   - rules.json allocation.mode "optimise" runs feeder/optimise.js on
+ *     top; either way a cost summary (greedy vs optimise) is printed
+ *   - the assignments.json we are about to overwrite is last run's plan:
+ *     its belts are passed in so flights stay put (rules.json sticky)
+ *   - data/overrides.json (feeder/overrides.js) pins / forbids / blocks
+ *     from the duty manager win over all of that
+ *   - belt overlaps in the final plan are listed in `conflicts` with a
+ *     severity and a suggested free belt (feeder/conflicts.js)
+ *   - the new plan must pass feeder/schema.js (schema + rules.json
+ *     publish_guards) before it is written; otherwise the last good file
+ *     stays and the step fails
+ *   - every run is also appended to the per-day archive in history/
+ *     (feeder/history.js, rules.json history)
  *
- * OUTPUT (overwrite same file):
- *   docs/assignments.json with updated rows
+ * INPUT:  arrivals rows (ingest output, or last assignments.json)
+ * OUTPUT: docs/assignments.json with updated rows
  *
- * RUN ORDER:
- *   node feeder/fr24_snap.js
- *   node feeder/fr24_feeder.js
+ * RUN: via the CLI (feeder/cli.js), e.g.
+ *   node feeder/cli.js run
+ *   node feeder/cli.js allocate --in feeder/raw/arrivals.json
+ * `node feeder/fr24_feeder.js` still allocates docs/assignments.json
+ * in place.
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { loadRules, RULES_PATH } from "./rules.js";
+import {
+  beltSizes,
+  loadPaxConfig,
+  estimatePax,
+  PAX_CONFIG_PATH,
+} from "./pax.js";
+import { loadOverrides, withBlocks, OVERRIDES_PATH } from "./overrides.js";
+import {
+  assignBelts,
+  planCost,
+  flightKey,
+  COST_TERMS,
+} from "./allocate.js";
+import { optimiseBelts } from "./optimise.js";
+import { mergeLegs } from "./legs.js";
+import { createLogger } from "./log.js";
+import { appendHistory } from "./history.js";
+import { findConflicts } from "./conflicts.js";
+import {
+  checkAssignments,
+  isFlightNumber,
+  SCHEMA_VERSION,
+} from "./schema.js";
+import {
+  delayMinutes,
+  londonHHMM,
+  parseHHMM,
+  resolveLondonTime,
+} from "../docs/time.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const ASSIGNMENTS_PATH = path.join(
+export const ASSIGNMENTS_PATH = path.join(
   __dirname,
   "..",
   "docs",
   "assignments.json"
 );
 
-// -------------------- CONFIG --------------------
-
-const BELT_START_OFFSET_MIN = 15; // start 15 min after ETA
-const BELT_TOTAL_WINDOW_MIN = 45; // end 45 min after ETA
-const MIN_GAP_MIN = 1; // at least 1 min separation between belt uses
-
-// belts allowed at the airport
-// NOTE: there's no belt 4
-const BELT_DOMESTIC = 7; // strictly domestic/UK flows
-const BELT_CTA = 6; // strictly CTA flows (Ireland, Channel Islands, IoM)
-const INT_ORDER = [1, 2, 3, 5, 6]; // normal spill order for INTERNATIONAL
-// 1,2,3 low load first
-// 5 = long belt for heavier loads (Jet2 / TUI etc)
-// 6 = absolute last resort for INTL, after 1,2,3,5
-
-// CTA airport codes (Common Travel Area excl. NI as per ops practice)
-const CTA_CODES = new Set([
-  "DUB", // Dublin
-  "ORK", // Cork
-  "SNN", // Shannon
-  "NOC", // Ireland West / Knock
-  "KIR", // Kerry
-  "CFN", // Donegal
-  "IOM", // Isle of Man / Ronaldsway
-  "JER", // Jersey
-  "GCI", // Guernsey
-  "ACI", // Alderney
-]);
-
-// Domestic UK (treated as internal UK flow operationally, includes NI)
-const DOM_CODES = new Set([
-  // England / Wales / Scotland / NI domestic list you gave
-  "LHR",
-  "LGW",
-  "LCY",
-  "LTN",
-  "STN",
-  "SEN",
-  "BHX",
-  "MAN",
-  "LPL",
-  "EMA",
-  "NCL",
-  "LBA",
-  "MME",
-  "HUY",
-  "NWI",
-  "BRS",
-  "EXT",
-  "NQY",
-  "BOH",
-  "SOU",
-  "CAX",
-  "CWL",
-  "VLY",
-  "EDI",
-  "GLA",
-  "PIK",
-  "ABZ",
-  "INV",
-  "DND",
-  "LSI",
-  "LWK",
-  "KOI",
-  "WIC",
-  "SYY",
-  "BEB",
-  "BRR",
-  "TRE",
-  "CAL",
-  "OBN",
-  "BFS",
-  "BHD",
-  "LDY",
-]);
-
-function classifyFlow(originIata) {
-  const code = (originIata || "").toUpperCase();
-  if (CTA_CODES.has(code)) return "CTA";
-  if (DOM_CODES.has(code)) return "DOMESTIC";
-  return "INTERNATIONAL";
-}
-
-function addMinutesIso(iso, mins) {
-  if (!iso) return null;
-  const d = new Date(iso);
-  return new Date(d.getTime() + mins * 60000).toISOString();
-}
-
-function toMs(t) {
-  if (!t) return Infinity;
-  return +new Date(t);
-}
-
-function overlapsOrTooClose(f1, f2) {
-  // true if times on the same belt collide or are <1min apart
-  const s1 = toMs(f1.start);
-  const e1 = toMs(f1.end);
-  const s2 = toMs(f2.start);
-  const e2 = toMs(f2.end);
-
-  // overlap
-  if (s1 < e2 && s2 < e1) return true;
-
-  // gap check
-  const gap1 = Math.abs(s2 - e1) / 60000;
-  const gap2 = Math.abs(s1 - e2) / 60000;
-  if (gap1 < MIN_GAP_MIN || gap2 < MIN_GAP_MIN) return true;
-
-  return false;
+function costFields(cost, ms) {
+  const terms = Object.fromEntries(COST_TERMS.map((k) => [k, cost[k]]));
+  return ms === undefined ? terms : { ...terms, ms };
 }
 
-function initUsage() {
-  // track which slots are already on each belt
-  return {
-    1: [],
-    2: [],
-    3: [],
-    5: [],
-    6: [],
-    7: [],
-  };
-}
+// run the configured allocator; always score greedy so we can compare
+function allocate(rows, rules, paxConfig, options, log) {
+  const greedy = assignBelts(rows, rules, paxConfig, options);
+  const greedyCost = planCost(greedy, rules, paxConfig);
+  log.info(`greedy cost ${greedyCost.total}`, costFields(greedyCost));
 
-function canPlaceOnBeltStrict(flight, belt, usage) {
-  const slots = usage[belt] || [];
-  for (const slot of slots) {
-    if (overlapsOrTooClose(flight, slot.flightRef)) {
-      return false;
-    }
+  if (rules.allocation.mode !== "optimise") {
+    return { rows: greedy, mode: "greedy", cost: greedyCost };
   }
-  return true;
-}
-
-function recordPlacement(flight, belt, reason, usage) {
-  flight.belt = belt;
-  if (reason) flight.reason = reason;
-  usage[belt].push({
-    startMs: toMs(flight.start),
-    endMs: toMs(flight.end),
-    flightRef: flight,
-  });
-  usage[belt].sort((a, b) => a.startMs - b.startMs);
-}
 
-function earliestClearingBelt(order, usage) {
-  // pick belt whose latest assigned slot ends the soonest
-  let bestBelt = order[0];
-  let bestEnd = Infinity;
-
-  for (const b of order) {
-    const arr = usage[b] || [];
-    const last = arr[arr.length - 1];
-    const endMs = last ? last.endMs : 0;
-    if (endMs < bestEnd) {
-      bestEnd = endMs;
-      bestBelt = b;
-    }
-  }
-  return bestBelt;
-}
-
-// A heavy flight is something like Jet2 / TUI / larger pax
-// We bias them to belt 5 IF it's free. But we don't stack belt 5 if 1/2/3 are free.
-function isHeavyFlight(row) {
-  const airline = (row.airline || "").toLowerCase();
-  if (airline.includes("tui")) return true;
-  if (airline.includes("jet2")) return true;
-  if (typeof row.pax_estimate === "number" && row.pax_estimate >= 170)
-    return true;
-  return false;
-}
-
-// normalise times and flow for each row
-function prepRow(r) {
-  const flow = classifyFlow(r.origin_iata);
-  r.flow = flow;
+  const t0 = Date.now();
+  const optimised = optimiseBelts(rows, rules, paxConfig, options);
+  const optCost = planCost(optimised, rules, paxConfig);
+  log.info(
+    `optimise cost ${optCost.total}`,
+    costFields(optCost, Date.now() - t0)
+  );
 
-  // belt window is always ETA+15 to ETA+45
-  if (r.eta) {
-    const startIso = addMinutesIso(r.eta, BELT_START_OFFSET_MIN);
-    const endIso = addMinutesIso(r.eta, BELT_TOTAL_WINDOW_MIN);
-    r.start = startIso;
-    r.end = endIso;
-  }
+  const moved = optimised.filter((r) => {
+    const g = greedy.find(
+      (x) => x.flight === r.flight && x.start === r.start
+    );
+    return g && g.belt !== r.belt;
+  }).length;
+  log.info(`optimise saves ${greedyCost.total - optCost.total} vs greedy`, {
+    moved,
+  });
 
-  return r;
+  return { rows: optimised, mode: "optimise", cost: optCost };
 }
 
-function assignBelts(allRows) {
-  // clone objects so we can mutate safely
-  const rows = allRows.map((r) => ({ ...r }));
-
-  // normalise flow / times first
-  for (const r of rows) {
-    prepRow(r);
-  }
-
-  // sort chronologically by start time
-  rows.sort((a, b) => toMs(a.start) - toMs(b.start));
-
-  const usage = initUsage();
-
-  for (const f of rows) {
-    // DOMESTIC → belt 7 only (must stay domestic)
-    if (f.flow === "DOMESTIC") {
-      if (canPlaceOnBeltStrict(f, BELT_DOMESTIC, usage)) {
-        recordPlacement(f, BELT_DOMESTIC, "dom→7", usage);
-      } else {
-        // no alternative allowed, force anyway
-        recordPlacement(f, BELT_DOMESTIC, "dom→7", usage);
-      }
-      continue;
-    }
-
-    // CTA → belt 6 only
-    if (f.flow === "CTA") {
-      if (canPlaceOnBeltStrict(f, BELT_CTA, usage)) {
-        recordPlacement(f, BELT_CTA, "cta→6", usage);
-      } else {
-        // again, CTA stays belt 6 even if overlapping
-        recordPlacement(f, BELT_CTA, "cta→6", usage);
-      }
-      continue;
-    }
-
-    // INTERNATIONAL
-    const heavy = isHeavyFlight(f);
-
-    // HEAVY priority: if belt 5 is completely free for this time, take it
-    if (heavy && canPlaceOnBeltStrict(f, 5, usage)) {
-      recordPlacement(f, 5, "heavy→5", usage);
-      continue;
-    }
-
-    // otherwise try 1,2,3,5,6 in that order, but skipping any that collide
-    let placed = false;
-    for (const b of INT_ORDER) {
-      if (canPlaceOnBeltStrict(f, b, usage)) {
-        recordPlacement(f, b, "intl_spread", usage);
-        placed = true;
-        break;
-      }
-    }
-
-    if (!placed) {
-      // all belts clashing at that exact minute:
-      // pick the one that clears first
-      const fb = earliestClearingBelt(INT_ORDER, usage);
-      recordPlacement(f, fb, "fallback_busy", usage);
-    }
+// FR24 times are London wall clock, anchored on the snapshot time.
+// Older scrapes pinned every HH:MM to the host's "today", so an eta that
+// doesn't fit the snapshot (or its own eta_local) is rebuilt from
+// eta_local; delay_min is always recomputed (23:25 → 00:34 is +69).
+function normaliseTimes(r, refMs) {
+  let etaMs = Date.parse(r.eta);
+  const plausible =
+    Number.isFinite(etaMs) &&
+    etaMs >= refMs - 6 * 3600000 &&
+    etaMs < refMs + 30 * 3600000 &&
+    (!r.eta_local || londonHHMM(etaMs) === r.eta_local);
+  if (!plausible && parseHHMM(r.eta_local)) {
+    etaMs = resolveLondonTime(r.eta_local, refMs);
   }
+  if (!Number.isFinite(etaMs)) return r;
 
-  return rows;
+  const delay = delayMinutes(r.scheduled_local, etaMs);
+  return {
+    ...r,
+    eta: new Date(etaMs).toISOString(),
+    eta_local: londonHHMM(etaMs),
+    delay_min: delay ?? (typeof r.delay_min === "number" ? r.delay_min : null),
+  };
 }
 
 // ---- I/O ----
 
-function loadAssignments() {
-  const raw = fs.readFileSync(ASSIGNMENTS_PATH, "utf8");
-  const parsed = JSON.parse(raw);
+function loadAssignments(filePath = ASSIGNMENTS_PATH) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`[fr24_feeder] cannot read ${filePath}: ${err.message}`);
+  }
 
   const meta = {
     generated_at_utc: parsed.generated_at_utc || "",
@@ -306,23 +162,70 @@ function loadAssignments() {
   return { meta, rows };
 }
 
-function writeAssignments(meta, fixedRows) {
+// last published plan: { plan: flightKey → { belt, reason }, rowCount }.
+// Missing or unreadable file → empty plan, rowCount null.
+function loadPreviousPlan(filePath = ASSIGNMENTS_PATH, log) {
+  const plan = new Map();
+  if (!fs.existsSync(filePath)) return { plan, rowCount: null };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const rows = Array.isArray(parsed.rows) ? parsed.rows : [];
+    for (const r of rows) {
+      plan.set(flightKey(r), { belt: r.belt, reason: r.reason || "" });
+    }
+    return { plan, rowCount: rows.length };
+  } catch (err) {
+    log.warn("previous plan unreadable, starting fresh", {
+      error: err.message,
+    });
+    return { plan, rowCount: null };
+  }
+}
+
+// the limits the allocator checked against, so timeline.html can check
+// a dragged puck the same way; capacity_pax (pax a belt takes at once,
+// from pax_config.json lengths; null if unknown) scales its heatmap
+function beltRulesFor(rules, paxConfig) {
+  const sizes = beltSizes(paxConfig);
+  return {
+    belts: rules.beltIds,
+    max_queue_per_belt: rules.maxQueuePerBelt,
+    density_minutes: rules.densityMinutes,
+    cleanup_minutes: Object.fromEntries(
+      Object.values(rules.flows).map((f) => [f.name, f.buffers.cleanup])
+    ),
+    capacity_pax: Object.fromEntries(
+      rules.beltIds.map((b) => [b, sizes.get(b)?.capacity ?? null])
+    ),
+  };
+}
+
+function toAssignmentsDoc(
+  meta,
+  fixedRows,
+  { outages = [], conflicts = [], allocation = null, beltRules = null } = {}
+) {
   // stable key order for output rows
   const orderedRows = fixedRows.map((r) => ({
     flight: r.flight || "",
+    codeshares: Array.isArray(r.codeshares) ? r.codeshares : [],
     origin: r.origin || "",
     origin_iata: r.origin_iata || "",
     eta: r.eta || null,
     status: r.status || "",
+    lifecycle: r.lifecycle || "unknown",
     flow: r.flow || "",
     belt: r.belt ?? "",
+    tentative: Boolean(r.tentative),
     start: r.start || null,
     end: r.end || null,
     reason: r.reason || "",
     airline: r.airline || "",
     aircraft: r.aircraft || "",
+    registration: r.registration || "",
     pax_estimate:
       typeof r.pax_estimate === "number" ? r.pax_estimate : null,
+    pax_basis: r.pax_basis || "",
     scheduled_local: r.scheduled_local || "",
     eta_local: r.eta_local || "",
     delay_min:
@@ -330,35 +233,139 @@ function writeAssignments(meta, fixedRows) {
     ui_state: r.ui_state || "upcoming",
     ui_age_min:
       typeof r.ui_age_min === "number" ? r.ui_age_min : 0,
+    locked: Boolean(r._locked),
+    prev_belt: r._prevBelt ?? null,
+    forced_move: Boolean(r.forced_move),
   }));
 
-  const outObj = {
+  return {
+    schema_version: SCHEMA_VERSION,
     generated_at_utc: meta.generated_at_utc,
     generated_at_local: meta.generated_at_local,
     source: meta.source,
     horizon_minutes: meta.horizon_minutes,
+    allocation,
+    belt_rules: beltRules,
+    outages,
+    conflicts,
     rows: orderedRows,
   };
+}
 
-  fs.writeFileSync(
-    ASSIGNMENTS_PATH,
-    JSON.stringify(outObj, null, 2),
-    "utf8"
+// write next to the target and rename, so a crash never leaves half a file
+function writeAssignments(outPath, doc) {
+  const tmp = `${outPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc, null, 2), "utf8");
+  fs.renameSync(tmp, outPath);
+}
+
+/**
+ * The "allocate" step. Paths default to the repo layout; `inPath` and
+ * `outPath` are the same file when there was no ingest step. The plan
+ * already at `outPath` is last run's (sticky); locks are judged at the
+ * snapshot's generated_at_utc, not the clock. `historyDir` defaults to
+ * rules.json history.dir under the repo root. `force` writes a plan that
+ * fails a publish guard (never one that fails the schema).
+ * Throws on bad config or input; returns { mode, cost, rows }.
+ */
+export function allocateAssignments({
+  inPath = ASSIGNMENTS_PATH,
+  outPath = ASSIGNMENTS_PATH,
+  rulesPath = RULES_PATH,
+  overridesPath = OVERRIDES_PATH,
+  paxConfigPath = PAX_CONFIG_PATH,
+  historyDir,
+  force = false,
+  log = createLogger({ scope: "fr24_feeder" }),
+} = {}) {
+  const baseRules = loadRules(rulesPath);
+  const overrides = loadOverrides(baseRules, Date.now(), overridesPath);
+  const rules = withBlocks(baseRules, overrides);
+  const paxConfig = loadPaxConfig(paxConfigPath);
+  const { plan: previous, rowCount: previousRows } = loadPreviousPlan(
+    outPath,
+    log
+  );
+  const { meta, rows: inRows } = loadAssignments(inPath);
+  // older scrapes let page furniture through as rows ("MY FLIGHTRADAR24",
+  // CSS); the schema would refuse the whole plan over them
+  const rows = inRows.filter((r) => isFlightNumber(r.flight));
+  const junk = inRows.filter((r) => !rows.includes(r));
+  if (junk.length) {
+    log.warn("dropped rows without a flight number", {
+      dropped: junk.length,
+      first: String(junk[0].flight).slice(0, 40),
+    });
+  }
+  const snapshotMs = Date.parse(meta.generated_at_utc) || Date.now();
+  const legs = mergeLegs(
+    rows.map((r) => normaliseTimes(r, snapshotMs)),
+    snapshotMs
   );
+  if (legs.duplicates || legs.codeshares) {
+    log.info("merged legs", {
+      duplicates: legs.duplicates,
+      codeshares: legs.codeshares,
+    });
+  }
+  const estimated = legs.rows.map((r) => ({
+    ...r,
+    ...estimatePax(r, paxConfig),
+  }));
+  const { pins, forbids, blocks, expired } = overrides;
+  if (pins.length + forbids.length + blocks.length + expired) {
+    log.info("overrides", {
+      pins: pins.length,
+      forbids: forbids.length,
+      blocks: blocks.length,
+      expired,
+    });
+  }
+  const plan = allocate(
+    estimated,
+    rules,
+    paxConfig,
+    { previous, overrides, now: snapshotMs, refMs: snapshotMs },
+    log
+  );
+  const conflicts = findConflicts(plan.rows, rules, paxConfig);
+  if (conflicts.length) {
+    const bySeverity = {};
+    for (const c of conflicts) {
+      bySeverity[c.severity] = (bySeverity[c.severity] || 0) + 1;
+    }
+    log.warn(`${conflicts.length} belt conflicts`, bySeverity);
+  }
+  const published = toAssignmentsDoc(meta, plan.rows, {
+    outages: rules.outages,
+    conflicts,
+    allocation: { mode: plan.mode, cost: plan.cost.total },
+    beltRules: beltRulesFor(rules, paxConfig),
+  });
+  checkAssignments(published, rules, { previousRows, force });
+  writeAssignments(outPath, published);
+  log.info("assignments written", { out: outPath, rows: plan.rows.length });
+
+  if (rules.history.enabled) {
+    const file = appendHistory(
+      { ...published, ...published.allocation },
+      {
+        dir: historyDir || path.resolve(__dirname, "..", rules.history.dir),
+        retentionDays: rules.history.retentionDays,
+      }
+    );
+    log.info("run archived", { file });
+  }
+  return { mode: plan.mode, cost: plan.cost, rows: plan.rows };
 }
 
-async function run() {
+// `node feeder/fr24_feeder.js`: allocate docs/assignments.json in place
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const log = createLogger({ scope: "fr24_feeder" });
   try {
-    const { meta, rows } = loadAssignments();
-    const fixedRows = assignBelts(rows);
-    writeAssignments(meta, fixedRows);
-    console.log(
-      "[fr24_feeder] assignments.json updated with flow, belts, and windows."
-    );
+    allocateAssignments({ log });
   } catch (err) {
-    console.error("[fr24_feeder] ERROR:", err);
+    log.error(err.message);
     process.exitCode = 1;
   }
 }
-
-run();
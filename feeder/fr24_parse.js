@@ -0,0 +1,309 @@
+/**
+ * feeder/fr24_parse.js
+ *
+ * Turn the scraper's raw FR24 capture (docs/raw-arrivals-sample.json:
+ * an array of { kind, text }) into normalised arrival rows.
+ *
+ * FR24 gives each arrival as a "table" block in one of two shapes:
+ *
+ *   multi-line   "Estimated 21:35\n 21:30\n U22848\n Milan(MXP)\n A320\n
+ *                 G-EZUC\neasyJet"
+ *   single-line  "21:30 U22848Milan (MXP)-easyJet -A320 (G-EZUC)
+ *                 Estimated 21:35"
+ *
+ * Usually both shapes of the same flight are captured, so rows are
+ * de-duplicated on flight + origin + day + scheduled time. Day headings
+ * ("Saturday, Nov 01") only appear among the single-line blocks, so each
+ * shape counts days itself (scheduled time jumping back = next day) and
+ * rows get `day` from the n-th heading.
+ * "card" blocks are page furniture (weather, ads, CSS, a copy of the
+ * table) and are skipped.
+ *
+ * Every table block we can't turn into a row goes to `dropped` with a
+ * specific reason, for docs/fr24_dropped_debug.json:
+ *
+ *   empty               nothing but whitespace
+ *   loading_placeholder "Loading..."
+ *   no_flights_message  "Sorry, we don't have any information ..."
+ *   no_status           no Estimated / Landed / Scheduled / ... verb
+ *   no_scheduled_time   no HH:MM scheduled time
+ *   no_flight_number    FR24 listed the leg without a flight number
+ *   no_origin_iata      origin without a "(XXX)" airport code
+ *   unrecognised_block  doesn't look like an arrival at all
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DROPPED_DEBUG_PATH = path.join(
+  __dirname,
+  "..",
+  "docs",
+  "fr24_dropped_debug.json"
+);
+
+export const STATUS_VERBS = [
+  "Scheduled",
+  "Estimated",
+  "Delayed",
+  "Landed",
+  "Diverted",
+  "Canceled",
+  "Cancelled",
+  "Unknown",
+];
+
+const VERB = `(${STATUS_VERBS.join("|")})`;
+const HHMM = "(\\d{1,2}:\\d{2})";
+
+// "U22848", "LS1812", "BY781"; the look-ahead stops "U22848Milan"
+// swallowing the M as a flight suffix
+const FLIGHT = "([A-Z0-9]{2}\\d{1,4}[A-Z]?)(?![a-z])";
+
+const STATUS_RE = new RegExp(`^${VERB}\\b\\s*${HHMM}?$`, "i");
+const TIME_RE = new RegExp(`^${HHMM}$`);
+const FLIGHT_RE = new RegExp(`^${FLIGHT}$`);
+const ORIGIN_RE = /^(.*?)\s*\(([A-Z]{3})\)$/;
+const TYPE_RE = /^[A-Z0-9]{2,4}$/;
+const DAY_RE = /^[A-Z][a-z]+day,\s+[A-Z][a-z]{2}\s+\d{1,2}$/;
+
+// "21:30 U22848Milan (MXP)-easyJet -A320 (G-EZUC) Estimated 21:35"
+const SINGLE_LINE_RE = new RegExp(
+  `^${HHMM}\\s+(?:${FLIGHT})?\\s*(.*?)\\s*\\(([A-Z]{3})\\)\\s*-(.*?)\\s+-` +
+    `\\s*([A-Z0-9]{2,4})?\\s*(?:\\(([^)]*)\\))?\\s+${VERB}\\b\\s*${HHMM}?$`
+);
+
+// FR24 puts a registration where the type should be when it has no type;
+// registrations carry a dash (G-EZUC, 9H-VUT) or look like N123AB
+function isRegistration(s) {
+  return /^[A-Z0-9]{1,2}-[A-Z0-9]{2,5}$/.test(s) || /^N\d+[A-Z]*$/.test(s);
+}
+
+function canonicalVerb(v) {
+  const hit = STATUS_VERBS.find((s) => s.toLowerCase() === v.toLowerCase());
+  return hit === "Cancelled" ? "Canceled" : hit || "";
+}
+
+function pad(hhmm) {
+  return hhmm ? hhmm.padStart(5, "0") : "";
+}
+
+// the row shape fr24_feeder.js expects, plus what only the parser knows
+function makeRow(p) {
+  const verb = canonicalVerb(p.verb);
+  const statusTime = pad(p.statusTime);
+  const scheduled = pad(p.scheduled);
+  // Estimated / Delayed / Landed carry the real time; Scheduled doesn't
+  const etaLocal =
+    statusTime && verb !== "Canceled" && verb !== "Diverted"
+      ? statusTime
+      : scheduled;
+
+  return {
+    flight: p.flight || "",
+    origin: p.origin || "",
+    origin_iata: p.originIata || "",
+    status: statusTime ? `${verb} ${statusTime}` : verb,
+    status_verb: verb,
+    status_time: statusTime,
+    scheduled_local: scheduled,
+    eta_local: etaLocal,
+    airline: p.airline || "",
+    aircraft: p.aircraft || "",
+    registration: p.registration || "",
+  };
+}
+
+// "Estimated 21:35\n 21:30\n U22848\n Milan(MXP)\n A320\nG-EZUC\neasyJet"
+function parseMultiLine(lines) {
+  const st = STATUS_RE.exec(lines[0]);
+  if (!st) return { reason: "no_status" };
+  const p = { verb: st[1], statusTime: st[2] || "" };
+
+  let i = 1;
+  const sched = TIME_RE.exec(lines[i] || "");
+  if (!sched) return { reason: "no_scheduled_time", partial: p };
+  p.scheduled = sched[1];
+  i++;
+
+  const fl = FLIGHT_RE.exec(lines[i] || "");
+  if (fl) {
+    p.flight = fl[1];
+    i++;
+  }
+
+  const org = ORIGIN_RE.exec(lines[i] || "");
+  if (!org) return { reason: "no_origin_iata", partial: p };
+  p.origin = org[1].trim();
+  p.originIata = org[2];
+  i++;
+
+  const rest = lines.slice(i);
+  if (rest.length && TYPE_RE.test(rest[0]) && !isRegistration(rest[0])) {
+    p.aircraft = rest.shift();
+  }
+  if (rest.length && isRegistration(rest[0])) p.registration = rest.shift();
+  p.airline = rest.join(" ").trim();
+
+  if (!p.flight) return { reason: "no_flight_number", partial: p };
+  return { row: makeRow(p) };
+}
+
+// "21:30 U22848Milan (MXP)-easyJet -A320 (G-EZUC) Estimated 21:35"
+function parseSingleLine(text) {
+  const m = SINGLE_LINE_RE.exec(text);
+  if (!m) {
+    const hasTime = TIME_RE.test(text.split(" ")[0]);
+    const hasVerb = new RegExp(`\\b${VERB}\\b`, "i").test(text);
+    if (!hasTime && !hasVerb) return { reason: "unrecognised_block" };
+    if (!hasTime) return { reason: "no_scheduled_time" };
+    if (!hasVerb) return { reason: "no_status" };
+    if (!/\([A-Z]{3}\)/.test(text)) return { reason: "no_origin_iata" };
+    return { reason: "unrecognised_block" };
+  }
+
+  const [, scheduled, flight, origin, originIata, airline, type, inParens] =
+    m;
+  const p = {
+    scheduled,
+    flight: flight || "",
+    origin: origin.trim(),
+    originIata,
+    airline: airline.trim(),
+    aircraft: type || "",
+    registration: "",
+    verb: m[8],
+    statusTime: m[9] || "",
+  };
+  // "(G-EZUC)" is normally the registration, but can be a type
+  if (inParens) {
+    const v = inParens.trim();
+    if (isRegistration(v)) p.registration = v;
+    else if (!p.aircraft) p.aircraft = v;
+  }
+
+  if (!p.flight) return { reason: "no_flight_number", partial: p };
+  return { row: makeRow(p) };
+}
+
+/**
+ * Parse one raw block. Returns one of
+ *   { row }              a normalised arrival
+ *   { day }              a day heading ("Saturday, Nov 01")
+ *   { reason, partial }  couldn't parse; partial is whatever we got
+ */
+export function parseRawBlock(text) {
+  const raw = String(text ?? "");
+  const lines = raw
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  if (!lines.length) return { reason: "empty" };
+  if (/^loading\.*$/i.test(lines[0])) return { reason: "loading_placeholder" };
+  if (/^sorry, we don't have any information/i.test(lines[0])) {
+    return { reason: "no_flights_message" };
+  }
+  if (lines.length === 1 && DAY_RE.test(lines[0])) return { day: lines[0] };
+
+  // multi-line blocks start with the status verb, single-line with a time
+  if (lines.length > 1) {
+    if (!STATUS_RE.test(lines[0]) && !TIME_RE.test(lines[1] || "")) {
+      return { reason: "unrecognised_block" };
+    }
+    return { shape: "multi", ...parseMultiLine(lines) };
+  }
+  const single = parseSingleLine(lines[0].replace(/\s+/g, " "));
+  return { shape: "single", ...single };
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Parse a whole capture (array of { kind, text }).
+ * Returns { rows, dropped, skipped } where skipped counts non-table blocks.
+ */
+export function parseRawArrivals(entries) {
+  const rows = [];
+  const dropped = [];
+  const seenRows = new Set();
+  const seenDrops = new Set();
+  const days = [];
+  let skipped = 0;
+
+  // per shape: which day we're on and the last scheduled time seen
+  const clock = { multi: { idx: 0, last: -1 }, single: { idx: 0, last: -1 } };
+  function dayIndex(shape, scheduled) {
+    const c = clock[shape];
+    if (!scheduled) return c.idx;
+    const mins = minutesOf(scheduled);
+    // FR24 lists in time order: a big jump back means past midnight
+    if (c.last >= 0 && mins < c.last - 12 * 60) c.idx++;
+    c.last = mins;
+    return c.idx;
+  }
+
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry || entry.kind !== "table") {
+      skipped++;
+      continue;
+    }
+
+    const res = parseRawBlock(entry.text);
+
+    if (res.day) {
+      days.push(res.day);
+      continue;
+    }
+
+    const sched = res.row
+      ? res.row.scheduled_local
+      : pad(res.partial?.scheduled || "");
+    const idx = res.shape ? dayIndex(res.shape, sched) : 0;
+
+    if (res.row) {
+      const r = res.row;
+      const key = `${r.flight}|${r.origin_iata}|${idx}|${r.scheduled_local}`;
+      if (seenRows.has(key)) continue;
+      seenRows.add(key);
+      rows.push({ ...r, _dayIndex: idx });
+      continue;
+    }
+
+    // both shapes of the same bad leg count once
+    const text = String(entry.text ?? "").trim();
+    const partial = res.partial ? makeRow({ verb: "", ...res.partial }) : {};
+    const dropKey = res.partial
+      ? `${res.reason}|${partial.origin_iata}|${idx}|${sched}`
+      : `${res.reason}|${text.replace(/\s+/g, " ")}`;
+    if (seenDrops.has(dropKey)) continue;
+    seenDrops.add(dropKey);
+
+    dropped.push({
+      flight: partial.flight || "",
+      reason: res.reason,
+      status: partial.status || "",
+      row: res.partial ? { ...partial, _dayIndex: idx } : null,
+      text,
+    });
+  }
+
+  // the first heading FR24 shows is the first day listed
+  for (const r of [...rows, ...dropped.map((d) => d.row).filter(Boolean)]) {
+    r.day = days[r._dayIndex] || "";
+    delete r._dayIndex;
+  }
+
+  return { rows, dropped, skipped };
+}
+
+export function writeDroppedDebug(dropped, outPath = DROPPED_DEBUG_PATH) {
+  fs.writeFileSync(outPath, JSON.stringify(dropped, null, 2), "utf8");
+}
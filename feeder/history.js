@@ -0,0 +1,197 @@
+/**
+ * feeder/history.js
+ *
+ * Per-day archive of every allocation run, so "why was FR506 on belt 6
+ * at 14:30?" can be answered after the fact.
+ *
+ *   history/2025-11-02.ndjson   one JSON line per run:
+ *     { "run_at_utc": "...", "run_at_local": "...",
+ *       "generated_at_utc": "...", "mode": "greedy", "cost": 253,
+ *       "outages": [...], "conflicts": [...],
+ *       "rows": [{ flight, belt, start, end, reason, ... }] }
+ *
+ * Files are named by the London date of the run, so they rotate at local
+ * midnight; files older than rules.json history.retention_days are
+ * deleted after each append. The directory is git-ignored: the archive
+ * lives on the ops box, it isn't published.
+ *
+ * planAt() answers "the plan as it stood at <time>": the last run at or
+ * before that moment, optionally narrowed to one flight or one belt.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { londonLocalIso, londonParts } from "../docs/time.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const HISTORY_DIR = path.join(__dirname, "..", "history");
+
+const DAY_MS = 24 * 3600000;
+const FILE_RE = /^(\d{4})-(\d{2})-(\d{2})\.ndjson$/;
+
+// the row fields worth keeping per run
+const ROW_FIELDS = [
+  "flight",
+  "codeshares",
+  "origin_iata",
+  "scheduled_local",
+  "eta",
+  "status",
+  "lifecycle",
+  "flow",
+  "belt",
+  "tentative",
+  "start",
+  "end",
+  "reason",
+  "locked",
+  "prev_belt",
+  "forced_move",
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const normFlight = (f) =>
+  String(f || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// "2025-11-02" in London for an instant
+export function londonDate(ms) {
+  const p = londonParts(ms);
+  return `${p.year}-${pad(p.month + 1)}-${pad(p.day)}`;
+}
+
+function dayFile(dir, ms) {
+  return path.join(dir, `${londonDate(ms)}.ndjson`);
+}
+
+/**
+ * One archive line for a run at `now`. `plan` is what writeAssignments
+ * published: { generated_at_utc, mode, cost, outages, conflicts, rows }.
+ * Also the frame format of `replay --frames` (timeline.html playback).
+ */
+export function historyEntry(plan, now = Date.now()) {
+  return {
+    run_at_utc: new Date(now).toISOString(),
+    run_at_local: londonLocalIso(now),
+    generated_at_utc: plan.generated_at_utc || "",
+    mode: plan.mode || "",
+    cost: plan.cost ?? null,
+    outages: plan.outages || [],
+    conflicts: plan.conflicts || [],
+    rows: (plan.rows || []).map((r) =>
+      Object.fromEntries(ROW_FIELDS.map((k) => [k, r[k] ?? null]))
+    ),
+  };
+}
+
+/**
+ * Append one run to its day file and prune old days. Returns the file
+ * written.
+ */
+export function appendHistory(
+  plan,
+  { dir = HISTORY_DIR, retentionDays = 30, now = Date.now() } = {}
+) {
+  const entry = historyEntry(plan, now);
+  const file = dayFile(dir, now);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+  pruneHistory({ dir, retentionDays, now });
+  return file;
+}
+
+/**
+ * Delete day files older than `retentionDays` (today counts as day 1).
+ * Returns the names removed.
+ */
+export function pruneHistory({
+  dir = HISTORY_DIR,
+  retentionDays = 30,
+  now = Date.now(),
+} = {}) {
+  if (!fs.existsSync(dir)) return [];
+  // calendar arithmetic on the London date, so clock changes don't matter
+  const today = londonParts(now);
+  const first = new Date(
+    Date.UTC(today.year, today.month, today.day - (retentionDays - 1))
+  );
+  const oldest = first.toISOString().slice(0, 10);
+  const removed = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!FILE_RE.test(name)) continue;
+    // YYYY-MM-DD compares correctly as a string
+    if (name.slice(0, 10) < oldest) {
+      fs.unlinkSync(path.join(dir, name));
+      removed.push(name);
+    }
+  }
+  return removed;
+}
+
+function readRuns(file) {
+  if (!fs.existsSync(file)) return [];
+  const runs = [];
+  fs.readFileSync(file, "utf8")
+    .split("\n")
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        runs.push(JSON.parse(line));
+      } catch (err) {
+        throw new Error(
+          `[history] ${path.basename(file)}:${i + 1}: ${err.message}`
+        );
+      }
+    });
+  return runs;
+}
+
+/**
+ * The plan that was live at `at` (ms or ISO): the last run at or before
+ * it, looked up in that day's file and, before the first run of the day,
+ * the previous day's. `flight` (number or codeshare) and `belt` narrow
+ * the rows. Returns { run_at_utc, run_at_local, generated_at_utc, mode,
+ * cost, outages, conflicts, rows } or null if nothing was recorded by then.
+ */
+export function planAt(at, { dir = HISTORY_DIR, flight, belt } = {}) {
+  const atMs = typeof at === "number" ? at : Date.parse(at);
+  if (!Number.isFinite(atMs)) {
+    throw new Error(`[history] not a time: ${at}`);
+  }
+
+  let run = null;
+  for (const ms of [atMs, atMs - DAY_MS]) {
+    const runs = readRuns(dayFile(dir, ms)).filter(
+      (r) => Date.parse(r.run_at_utc) <= atMs
+    );
+    if (runs.length) {
+      run = runs[runs.length - 1];
+      break;
+    }
+  }
+  if (!run) return null;
+
+  const want = normFlight(flight);
+  const rows = run.rows.filter(
+    (r) =>
+      (!want ||
+        normFlight(r.flight) === want ||
+        (r.codeshares || []).includes(want)) &&
+      (belt === undefined || belt === null || Number(r.belt) === Number(belt))
+  );
+  return {
+    run_at_utc: run.run_at_utc,
+    run_at_local: run.run_at_local,
+    generated_at_utc: run.generated_at_utc,
+    mode: run.mode,
+    cost: run.cost,
+    outages: run.outages,
+    conflicts: run.conflicts || [],
+    rows,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * feeder/ingest.js
+ *
+ * STEP 1 ("ingest"): raw FR24 capture → arrivals rows for the allocator.
+ *
+ *   - blocks are parsed by feeder/fr24_parse.js; whatever it can't parse
+ *     is written to docs/fr24_dropped_debug.json
+ *   - FR24 shows Bristol local times plus a day heading ("Saturday,
+ *     Nov 01"); docs/time.js turns those into UTC `eta` (year = the one
+ *     nearest to now) and we work out delay_min against the scheduled time
+ *   - rows without a usable time are dropped too (reason "no_eta")
+ *   - duplicate legs and codeshares are merged (feeder/legs.js)
+ *
+ * OUTPUT: the same shape as docs/assignments.json (meta + rows, no belts
+ * yet), by default feeder/raw/arrivals.json (git-ignored). The allocate
+ * step reads it and writes docs/assignments.json.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  parseRawArrivals,
+  writeDroppedDebug,
+  DROPPED_DEBUG_PATH,
+} from "./fr24_parse.js";
+import { mergeLegs } from "./legs.js";
+import {
+  londonLocalIso,
+  londonWallToUtc,
+  parseHHMM,
+  resolveDayHeading,
+  resolveLondonTime,
+} from "../docs/time.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RAW_PATH = path.join(__dirname, "raw", "raw-arrivals.json");
+export const ARRIVALS_PATH = path.join(__dirname, "raw", "arrivals.json");
+
+const TWELVE_HOURS = { before: 12 * 60, after: 12 * 60 };
+
+// parsed row → allocator row (eta / delay_min in UTC terms)
+function toArrivalRow(r, nowMs) {
+  const sched = parseHHMM(r.scheduled_local);
+  if (!sched || !parseHHMM(r.eta_local)) return null;
+
+  // with a day heading the date is known; without, nearest to now
+  const date = resolveDayHeading(r.day, nowMs);
+  const schedMs = date
+    ? londonWallToUtc(date.year, date.month, date.day, ...sched)
+    : resolveLondonTime(r.scheduled_local, nowMs);
+  // "23:25 ... Delayed 00:06" is the next day, "00:10 ... Landed 23:58"
+  // the previous one
+  const etaMs = resolveLondonTime(r.eta_local, schedMs, TWELVE_HOURS);
+
+  return {
+    flight: r.flight,
+    origin: r.origin,
+    origin_iata: r.origin_iata,
+    eta: new Date(etaMs).toISOString(),
+    status: r.status,
+    airline: r.airline,
+    aircraft: r.aircraft,
+    registration: r.registration,
+    scheduled_local: r.scheduled_local,
+    eta_local: r.eta_local,
+    delay_min: r.status_time ? Math.round((etaMs - schedMs) / 60000) : null,
+  };
+}
+
+/**
+ * Parse a raw capture and write the arrivals file + dropped-debug.
+ * Returns { rows, dropped, skipped, duplicates, codeshares } counts.
+ */
+export function ingestRaw({
+  rawPath = RAW_PATH,
+  outPath = ARRIVALS_PATH,
+  droppedPath = DROPPED_DEBUG_PATH,
+  horizonMinutes = 180,
+  now = Date.now(),
+} = {}) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(rawPath, "utf8"));
+  } catch (err) {
+    throw new Error(`[ingest] cannot read ${rawPath}: ${err.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`[ingest] ${rawPath}: expected an array of blocks`);
+  }
+
+  const parsed = parseRawArrivals(entries);
+  const arrivals = [];
+  const dropped = [...parsed.dropped];
+  for (const r of parsed.rows) {
+    const row = toArrivalRow(r, now);
+    if (row) {
+      arrivals.push(row);
+    } else {
+      dropped.push({
+        flight: r.flight,
+        reason: "no_eta",
+        status: r.status,
+        row: r,
+      });
+    }
+  }
+  const { rows, duplicates, codeshares } = mergeLegs(arrivals, now);
+  rows.sort((a, b) => Date.parse(a.eta) - Date.parse(b.eta));
+
+  const out = {
+    generated_at_utc: new Date(now).toISOString(),
+    generated_at_local: londonLocalIso(now),
+    source: `flightradar24.com (raw capture ${path.basename(rawPath)})`,
+    horizon_minutes: horizonMinutes,
+    rows,
+  };
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(out, null, 2), "utf8");
+  writeDroppedDebug(dropped, droppedPath);
+
+  return {
+    rows: rows.length,
+    dropped: dropped.length,
+    skipped: parsed.skipped,
+    duplicates,
+    codeshares,
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * feeder/legs.js
+ *
+ * One row per flight leg. FR24 lists the same arrival more than once
+ * (FR506 from DUB twice, ETAs two minutes apart, both given a belt) and
+ * shows codeshares as separate lines for the same aircraft. Both ingest
+ * and allocate run mergeLegs() so docs/assignments.json never carries
+ * duplicates and the boards don't have to de-duplicate.
+ *
+ *   - a leg is flight number + origin + scheduled London date
+ *   - duplicates of a leg collapse to the freshest row (statusRank() in
+ *     docs/core.js, shared with the boards: landed > estimated / delayed
+ *     > scheduled; ties go to the later row, i.e. the later part of the
+ *     capture); empty fields are filled from the others
+ *   - different numbers on the same aircraft (registration), origin and
+ *     scheduled instant are codeshares: folded into the operating row's
+ *     `codeshares` array
+ */
+
+import { londonParts, parseHHMM, resolveLondonTime } from "../docs/time.js";
+import { statusRank } from "../docs/core.js";
+
+const TWELVE_HOURS = { before: 12 * 60, after: 12 * 60 };
+
+const normFlight = (f) =>
+  String(f || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// scheduled instant (UTC ms): the scheduled HH:MM nearest the eta,
+// else nearest the snapshot; null without a scheduled time
+function scheduledMs(r, refMs) {
+  if (!parseHHMM(r.scheduled_local)) return null;
+  const etaMs = Date.parse(r.eta);
+  return Number.isFinite(etaMs)
+    ? resolveLondonTime(r.scheduled_local, etaMs, TWELVE_HOURS)
+    : resolveLondonTime(r.scheduled_local, refMs);
+}
+
+/**
+ * "FR506|DUB|2025-10-28". Rows without a scheduled time fall back to the
+ * eta's date, then to no date at all.
+ */
+export function legKey(r, refMs = Date.now()) {
+  const ms = scheduledMs(r, refMs) ?? Date.parse(r.eta);
+  const p = Number.isFinite(ms) ? londonParts(ms) : null;
+  const date = p ? `${p.year}-${pad(p.month + 1)}-${pad(p.day)}` : "";
+  const origin = String(r.origin_iata || "").toUpperCase();
+  return `${normFlight(r.flight)}|${origin}|${date}`;
+}
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+// fresher row wins; blanks in it are filled from the stale one
+function mergePair(a, b) {
+  const [fresh, stale] = statusRank(b) >= statusRank(a) ? [b, a] : [a, b];
+  const out = { ...fresh };
+  for (const [k, v] of Object.entries(stale)) {
+    if (isEmpty(out[k]) && !isEmpty(v)) out[k] = v;
+  }
+  out.codeshares = [
+    ...new Set([...(a.codeshares || []), ...(b.codeshares || [])]),
+  ];
+  return out;
+}
+
+/**
+ * Collapse duplicate legs and fold codeshares. Keeps input order (first
+ * sighting of each leg). Returns { rows, duplicates, codeshares } where
+ * the last two count rows folded away.
+ */
+export function mergeLegs(rows, refMs = Date.now()) {
+  const byLeg = new Map();
+  for (const r of rows) {
+    const key = legKey(r, refMs);
+    const cur = byLeg.get(key);
+    byLeg.set(key, cur ? mergePair(cur, r) : { ...r, codeshares: [] });
+  }
+  const legs = [...byLeg.values()];
+  const duplicates = rows.length - legs.length;
+
+  // same aircraft, origin and scheduled instant → one leg, many numbers
+  const byAircraft = new Map();
+  const out = [];
+  for (const r of legs) {
+    const reg = String(r.registration || "").toUpperCase();
+    const sched = scheduledMs(r, refMs);
+    if (!reg || sched === null) {
+      out.push(r);
+      continue;
+    }
+    const key = `${reg}|${String(r.origin_iata || "").toUpperCase()}|${sched}`;
+    const op = byAircraft.get(key);
+    if (!op) {
+      byAircraft.set(key, r);
+      out.push(r);
+      continue;
+    }
+    const merged = mergePair(op, r);
+    // the number listed first stays the flight, the rest are codeshares
+    merged.flight = op.flight;
+    merged.codeshares = [
+      ...new Set([...merged.codeshares, normFlight(r.flight)]),
+    ].filter((f) => f !== normFlight(op.flight));
+    Object.assign(op, merged);
+  }
+
+  return { rows: out, duplicates, codeshares: legs.length - out.length };
+}
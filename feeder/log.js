@@ -0,0 +1,53 @@
+/**
+ * feeder/log.js
+ *
+ * Small structured logger for the feeder pipeline.
+ *
+ * Every entry is one JSON object per line:
+ *   {"ts":"2025-11-02T21:30:00.000Z","level":"info","scope":"allocate",
+ *    "msg":"greedy cost","total":253}
+ *
+ * On the terminal entries are printed as "[scope] msg key=value" unless
+ * `json` is set (then the JSON line is printed as-is); with `file` every
+ * entry is also appended to that file as JSON, which is what the ops box
+ * keeps (feeder.log, git-ignored).
+ */
+
+import fs from "fs";
+
+function fieldText(v) {
+  if (typeof v === "string") return /\s/.test(v) ? JSON.stringify(v) : v;
+  return JSON.stringify(v);
+}
+
+export function createLogger({
+  scope = "feeder",
+  file = null,
+  json = false,
+} = {}) {
+  function write(level, msg, fields = {}) {
+    const ts = new Date().toISOString();
+    const line = JSON.stringify({ ts, level, scope, msg, ...fields });
+
+    let text = line;
+    if (!json) {
+      const extra = Object.entries(fields)
+        .map(([k, v]) => `${k}=${fieldText(v)}`)
+        .join(" ");
+      text = `[${scope}] ${msg}${extra ? ` ${extra}` : ""}`;
+    }
+    if (level === "error") console.error(text);
+    else if (level === "warn") console.warn(text);
+    else console.log(text);
+
+    if (file) fs.appendFileSync(file, line + "\n", "utf8");
+  }
+
+  return {
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    // same sink, different scope ("cli" → "allocate")
+    child: (childScope) => createLogger({ scope: childScope, file, json }),
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * feeder/optimise.js
+ *
+ * "optimise" allocation mode (rules.json allocation.mode).
+ *
+ * Greedy first-fit commits to each flight in start order, so one early
+ * choice can push several later flights into fallback_busy. Here we take
+ * the greedy plan as a starting point and improve the whole horizon at
+ * once against planCost() (feeder/allocate.js):
+ *
+ *   - move: put one flight on another belt it is allowed to use
+ *   - swap: exchange the belts of two time-overlapping flights
+ *
+ * Each pass applies every move/swap that lowers the total cost; we stop
+ * when a pass finds nothing or after allocation.max_passes. No randomness
+ * and a fixed visiting order, so the same input always gives the same plan.
+ * Single-target flows (DOMESTIC → 7, CTA → 6) and flights locked to last
+ * run's belt (sticky) are never moved, and belts under an outage are never
+ * offered. Moving any other flight off last run's belt costs belt_change.
+ */
+
+import { beltSizes } from "./pax.js";
+import {
+  assignBelts,
+  beltClashCounts,
+  canShareBelt,
+  flightCostCounts,
+  flightOptions,
+  initUsage,
+  markForcedMove,
+  reasonFor,
+  toMs,
+  weighCost,
+} from "./allocate.js";
+
+// float noise guard when comparing costs
+const EPS = 1e-9;
+
+export function optimiseBelts(allRows, rules, paxConfig = {}, options = {}) {
+  const weights = rules.allocation.weights;
+  const sizes = beltSizes(paxConfig);
+  const outagesOnly = initUsage(rules);
+
+  const rows = assignBelts(allRows, rules, paxConfig, options);
+  const timed = rows.filter(
+    (f) => f.belt !== "" && Number.isFinite(toMs(f.start))
+  );
+
+  const opts = new Map(
+    timed.map((f) => [f, flightOptions(f, rules, sizes, outagesOnly)])
+  );
+  const pinned = (f) => f._locked && f.belt === f._prevBelt;
+  const movable = timed.filter((f) => opts.get(f).fixed === null && !pinned(f));
+
+  // belt → flights on it, plus a cache of each belt's weighted clash cost
+  const byBelt = new Map(rules.beltIds.map((b) => [b, []]));
+  for (const f of timed) byBelt.get(f.belt).push(f);
+
+  const clashCost = (list) => weighCost(beltClashCounts(list, rules), weights);
+  const beltCost = new Map(
+    rules.beltIds.map((b) => [b, clashCost(byBelt.get(b))])
+  );
+
+  const flightCost = (f, b) =>
+    weighCost(flightCostCounts(f, b, opts.get(f), sizes, rules), weights);
+
+  const without = (b, f) => byBelt.get(b).filter((x) => x !== f);
+
+  function apply(b, list) {
+    byBelt.set(b, list);
+    beltCost.set(b, clashCost(list));
+  }
+
+  function tryMove(f) {
+    const cur = f.belt;
+    const curWithout = without(cur, f);
+    const curDelta = clashCost(curWithout) - beltCost.get(cur);
+    let best = null;
+    let bestDelta = -EPS;
+
+    for (const b of opts.get(f).order) {
+      if (b === cur) continue;
+      const withF = [...byBelt.get(b), f];
+      const delta =
+        curDelta +
+        (clashCost(withF) - beltCost.get(b)) +
+        (flightCost(f, b) - flightCost(f, cur));
+      if (delta < bestDelta) {
+        best = { b, withF };
+        bestDelta = delta;
+      }
+    }
+
+    if (!best) return false;
+    apply(cur, curWithout);
+    apply(best.b, best.withF);
+    f.belt = best.b;
+    return true;
+  }
+
+  function trySwap(f, g) {
+    const bf = f.belt;
+    const bg = g.belt;
+    if (bf === bg) return false;
+    if (!opts.get(f).order.includes(bg)) return false;
+    if (!opts.get(g).order.includes(bf)) return false;
+
+    const listF = [...without(bf, f), g];
+    const listG = [...without(bg, g), f];
+    const delta =
+      clashCost(listF) -
+      beltCost.get(bf) +
+      (clashCost(listG) - beltCost.get(bg)) +
+      (flightCost(f, bg) - flightCost(f, bf)) +
+      (flightCost(g, bf) - flightCost(g, bg));
+    if (delta >= -EPS) return false;
+
+    apply(bf, listF);
+    apply(bg, listG);
+    f.belt = bg;
+    g.belt = bf;
+    return true;
+  }
+
+  const windowsMeet = (f, g) =>
+    toMs(f.start) < toMs(g.end) && toMs(g.start) < toMs(f.end);
+
+  for (let pass = 0; pass < rules.allocation.maxPasses; pass++) {
+    let improved = false;
+
+    for (const f of movable) {
+      if (tryMove(f)) improved = true;
+    }
+
+    for (let i = 0; i < movable.length; i++) {
+      for (let j = i + 1; j < movable.length; j++) {
+        const f = movable[i];
+        const g = movable[j];
+        // movable is sorted by start: nothing later can overlap f
+        if (toMs(g.start) >= toMs(f.end)) break;
+        if (windowsMeet(f, g) && trySwap(f, g)) improved = true;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  relabel(timed, opts, rules, sizes);
+  return rows;
+}
+
+// Give the final plan the same reason vocabulary as greedy: replay it in
+// start order and call anything without room on its belt fallback_busy.
+function relabel(timed, opts, rules, sizes) {
+  const usage = initUsage(rules);
+  for (const f of timed) {
+    const busy = !canShareBelt(f, f.belt, usage, rules);
+    f.reason = reasonFor(f, f.belt, opts.get(f), sizes, busy);
+    markForcedMove(f, opts.get(f));
+    usage[f.belt].push({
+      startMs: toMs(f.start),
+      endMs: toMs(f.end),
+      flightRef: f,
+    });
+  }
+}
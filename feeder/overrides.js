@@ -0,0 +1,220 @@
+/**
+ * feeder/overrides.js
+ *
+ * Load + validate data/overrides.json: duty manager decisions the
+ * allocator applies before any automatic placement.
+ *
+ *   { "overrides": [
+ *       { "type": "pin", "flight": "LS1812", "belt": 5,
+ *         "by": "jsmith", "expires": "2025-11-03T06:00:00Z" },
+ *       { "type": "forbid", "flight": "FR4758", "belt": 2,
+ *         "by": "jsmith", "expires": "2025-11-03T06:00:00Z" },
+ *       { "type": "block", "belt": 3,
+ *         "from": "2025-11-02T14:00:00Z", "to": "2025-11-02T16:00:00Z",
+ *         "by": "jsmith", "note": "VIP arrival" }
+ *   ] }
+ *
+ *   pin     flight goes on that belt, whatever its flow or the load;
+ *           with "start" (ISO) its belt window is also moved to open
+ *           then (same length), e.g. a puck dragged on timeline.html
+ *   forbid  flight may not use that belt
+ *   block   nobody uses the belt for from..to (like a rules.json outage)
+ *
+ * pin / forbid may add "origin_iata" to pick one leg of a flight number.
+ * Every entry needs `by` (shown on the board as reason "override:<by>")
+ * and an expiry: `expires`, or for blocks the end of the window. Expired
+ * entries are skipped, so a stale file never pins tomorrow's flights.
+ *
+ * A missing file means no overrides. Anything inconsistent throws ONE
+ * error listing every problem, same as rules.json.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const OVERRIDES_PATH = path.join(
+  __dirname,
+  "..",
+  "data",
+  "overrides.json"
+);
+
+const OVERRIDE_TYPES = ["pin", "forbid", "block"];
+
+function normFlight(v) {
+  return String(v || "").replace(/\s+/g, "").toUpperCase();
+}
+
+function parseTime(v) {
+  const ms = Date.parse(v);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Validate the parsed JSON against compiled rules and drop anything
+ * expired at `nowMs`. Returns { pins, forbids, blocks, expired }.
+ */
+export function compileOverrides(
+  raw,
+  rules,
+  nowMs = Date.now(),
+  source = "overrides.json"
+) {
+  const problems = [];
+  const out = { pins: [], forbids: [], blocks: [], expired: 0 };
+
+  const list = Array.isArray(raw) ? raw : raw && raw.overrides;
+  if (!Array.isArray(list)) {
+    throw new Error(`[overrides] ${source}: expected { "overrides": [...] }`);
+  }
+
+  list.forEach((o, i) => {
+    const where = `overrides[${i}]`;
+    if (!o || typeof o !== "object") {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    const before = problems.length;
+
+    if (!OVERRIDE_TYPES.includes(o.type)) {
+      problems.push(
+        `${where}.type must be one of ${OVERRIDE_TYPES.join(", ")}`
+      );
+    }
+    if (!rules.beltIds.includes(o.belt)) {
+      problems.push(`${where}.belt references unknown belt ${o.belt}`);
+    }
+    const by = String(o.by || "").trim();
+    if (!by) problems.push(`${where}.by must say who made the override`);
+
+    let fromMs = null;
+    let toMs = null;
+    if (o.type === "block") {
+      fromMs = parseTime(o.from);
+      toMs = parseTime(o.to);
+      if (fromMs === null) {
+        problems.push(`${where}.from is not a valid time: ${o.from}`);
+      }
+      if (toMs === null) {
+        problems.push(`${where}.to is not a valid time: ${o.to}`);
+      }
+      if (fromMs !== null && toMs !== null && fromMs >= toMs) {
+        problems.push(`${where}: from must be before to`);
+      }
+    } else if (!normFlight(o.flight)) {
+      problems.push(`${where}.flight is missing`);
+    }
+    let startMs = null;
+    if (o.start !== undefined) {
+      startMs = parseTime(o.start);
+      if (o.type !== "pin") {
+        problems.push(`${where}.start is only allowed on a pin`);
+      } else if (startMs === null) {
+        problems.push(`${where}.start is not a valid time: ${o.start}`);
+      }
+    }
+
+    let expiresMs = toMs;
+    if (o.expires !== undefined || o.type !== "block") {
+      expiresMs = parseTime(o.expires);
+      if (expiresMs === null) {
+        problems.push(`${where}.expires is not a valid time: ${o.expires}`);
+      }
+    }
+
+    if (problems.length > before) return;
+    if (expiresMs <= nowMs) {
+      out.expired++;
+      return;
+    }
+
+    if (o.type === "block") {
+      out.blocks.push({
+        belt: o.belt,
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        reason: o.note ? `override:${by} – ${o.note}` : `override:${by}`,
+        by,
+      });
+      return;
+    }
+
+    const entry = {
+      flight: normFlight(o.flight),
+      origin_iata: String(o.origin_iata || "").toUpperCase(),
+      belt: o.belt,
+      by,
+    };
+    if (o.type === "forbid") {
+      out.forbids.push(entry);
+      return;
+    }
+    if (startMs !== null) entry.start = new Date(startMs).toISOString();
+    out.pins.push(entry);
+  });
+
+  if (problems.length) {
+    throw new Error(
+      `[overrides] ${source} is inconsistent:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+  return out;
+}
+
+/**
+ * Read data/overrides.json (if present) and compile it.
+ */
+export function loadOverrides(
+  rules,
+  nowMs = Date.now(),
+  overridesPath = OVERRIDES_PATH
+) {
+  if (!fs.existsSync(overridesPath)) return compileOverrides([], rules);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(overridesPath, "utf8"));
+  } catch (err) {
+    throw new Error(`[overrides] cannot read ${overridesPath}: ${err.message}`);
+  }
+  return compileOverrides(raw, rules, nowMs, path.basename(overridesPath));
+}
+
+// belt blocks behave exactly like outages, so fold them into the rules
+export function withBlocks(rules, overrides) {
+  if (!overrides || !overrides.blocks.length) return rules;
+  return { ...rules, outages: [...rules.outages, ...overrides.blocks] };
+}
+
+function matches(entry, row) {
+  if (entry.flight !== normFlight(row.flight)) return false;
+  if (!entry.origin_iata) return true;
+  return entry.origin_iata === String(row.origin_iata || "").toUpperCase();
+}
+
+/**
+ * Attach pins (_pin = { belt, by }) and forbidden belts
+ * (_forbid = Map belt → by) to matching rows. A pin with `start` moves
+ * the row's belt window there, keeping its length.
+ */
+export function applyOverrides(rows, overrides) {
+  if (!overrides) return;
+  for (const r of rows) {
+    const pin = overrides.pins.find((p) => matches(p, r));
+    if (pin) r._pin = { belt: pin.belt, by: pin.by };
+    if (pin && pin.start && r.start && r.end) {
+      const lengthMs = Date.parse(r.end) - Date.parse(r.start);
+      r.start = pin.start;
+      r.end = new Date(Date.parse(pin.start) + lengthMs).toISOString();
+    }
+
+    const forbid = new Map();
+    for (const f of overrides.forbids) {
+      if (matches(f, r) && !forbid.has(f.belt)) forbid.set(f.belt, f.by);
+    }
+    if (forbid.size) r._forbid = forbid;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * feeder/pax.js
+ *
+ * Passenger estimate per arrival, from data/pax_config.json:
+ *
+ *   pax = seats(aircraft) × load factor(airline code)
+ *         × airline bias(airline name) × route adjustment(origin)
+ *
+ * FR24 gives us aircraft as "(B38M)", "(73H)" or, often, just the
+ * registration "(G-EZUC)". Types go through `aircraft_aliases`; when we
+ * only have a registration we fall back to `airline_default_aircraft`.
+ *
+ * Every estimate comes with a `pax_basis` string so the board can show
+ * how the number was reached (or why there isn't one).
+ *
+ * Belt sizing: `long_belt_threshold_pax` is what a standard (INTL_STD)
+ * belt can take. That gives bags per metre, so every belt in `belts`
+ * gets a capacity from its length (belt 5 at 100 m takes more than
+ * belt 6 at 55 m). The allocator uses this instead of airline names.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PAX_CONFIG_PATH = path.join(
+  __dirname,
+  "..",
+  "data",
+  "pax_config.json"
+);
+
+export function loadPaxConfig(configPath = PAX_CONFIG_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new Error(`[pax] cannot read ${configPath}: ${err.message}`);
+  }
+}
+
+// "U22848" → "U2", "LS1812" → "LS"; junk like "Dublin(DUB)" → ""
+function airlineCode(flight) {
+  const m = /^([A-Z0-9]{2})\d{1,4}[A-Z]?$/.exec(
+    String(flight || "").replace(/\s+/g, "").toUpperCase()
+  );
+  return m ? m[1] : "";
+}
+
+// case-insensitive lookup of an airline name ("easyJet (NEO Livery)")
+// against a table keyed by name ("easyJet")
+function byAirlineName(table, airline) {
+  const name = String(airline || "").toLowerCase();
+  if (!name || !table) return null;
+  const key = Object.keys(table)
+    .sort((a, b) => b.length - a.length)
+    .find((k) => name.includes(k.toLowerCase()));
+  return key ? { key, value: table[key] } : null;
+}
+
+/**
+ * Pull an aircraft type out of FR24's aircraft string.
+ * Returns the config type code ("B738"), or null for registrations / blanks.
+ */
+export function parseAircraftType(aircraft, cfg) {
+  const m = /\(?\s*([A-Z0-9-]+)\s*\)?/i.exec(String(aircraft || ""));
+  if (!m) return null;
+  const code = m[1].toUpperCase();
+
+  // registrations carry a dash (G-EZUC, EI-GPO) or look like N123AB
+  if (code.includes("-") || /^N\d+[A-Z]*$/.test(code)) return null;
+
+  const aliases = cfg.aircraft_aliases || {};
+  const type = aliases[code] || code;
+  return seatsFor(type, cfg) ? type : null;
+}
+
+function seatsFor(type, cfg) {
+  const seats = (cfg.aircraft_seats || {})[type];
+  if (typeof seats === "number") return seats;
+  const avg = (cfg.aircraft_avg_pax || {})[type];
+  return typeof avg === "number" ? avg : null;
+}
+
+function routeFactor(originIata, cfg) {
+  const code = String(originIata || "").toUpperCase();
+  const adj = cfg.route_adjustments || {};
+  if ((adj.plus10pct_iata || []).includes(code)) return 1.1;
+  if ((adj.plus05pct_iata || []).includes(code)) return 1.05;
+  return 1;
+}
+
+/**
+ * Estimate passengers for one row.
+ * Returns { pax_estimate, pax_basis }; pax_estimate is null if we can't.
+ */
+export function estimatePax(row, cfg) {
+  let type = parseAircraftType(row.aircraft, cfg);
+  let typeNote = type;
+
+  if (!type) {
+    const fallback = byAirlineName(cfg.airline_default_aircraft, row.airline);
+    if (!fallback) {
+      // keep whatever upstream gave us rather than throwing it away
+      if (typeof row.pax_estimate === "number") {
+        return { pax_estimate: row.pax_estimate, pax_basis: "upstream" };
+      }
+      const what = String(row.aircraft || "").trim() || "no aircraft";
+      return { pax_estimate: null, pax_basis: `unknown aircraft ${what}` };
+    }
+    type = fallback.value;
+    typeNote = `${type} (${fallback.key} default)`;
+  }
+
+  const seats = seatsFor(type, cfg);
+
+  const code = airlineCode(row.flight);
+  const lfTable = cfg.airline_load_factor || {};
+  const hasLf = typeof lfTable[code] === "number";
+  const lf = hasLf ? lfTable[code] : cfg.default_load_factor ?? 1;
+
+  const biasHit = byAirlineName(cfg.airline_bias, row.airline);
+  const bias = biasHit ? biasHit.value : 1;
+
+  const route = routeFactor(row.origin_iata, cfg);
+
+  const pax = Math.round(seats * lf * bias * route);
+
+  const parts = [
+    `${typeNote} ${seats} seats`,
+    `LF ${lf}${hasLf ? ` (${code})` : " (default)"}`,
+  ];
+  if (bias !== 1) parts.push(`bias ${bias} (${biasHit.key})`);
+  if (route !== 1) parts.push(`route ${route}`);
+
+  return { pax_estimate: pax, pax_basis: `${parts.join(" × ")} = ${pax}` };
+}
+
+/**
+ * Estimated bags for a row: pax × bag_factor_by_airline (default 1).
+ * null when we have no pax estimate.
+ */
+export function bagsFor(row, cfg) {
+  if (typeof row.pax_estimate !== "number") return null;
+  const hit = byAirlineName(cfg.bag_factor_by_airline, row.airline);
+  const factor = hit && typeof hit.value === "number" ? hit.value : 1;
+  return Math.round(row.pax_estimate * factor);
+}
+
+/**
+ * Belt id → { length, role, avoid_for_international, capacity } where
+ * capacity is how many bags fit before the belt is overloaded.
+ */
+export function beltSizes(cfg) {
+  const belts = Array.isArray(cfg.belts) ? cfg.belts : [];
+  const threshold =
+    cfg.long_belt_threshold_pax ?? cfg.thresholds?.belt5_high_pax ?? null;
+  const stdLengths = belts
+    .filter((b) => b.role === "INTL_STD" && b.length > 0)
+    .map((b) => b.length);
+  const perMetre =
+    threshold && stdLengths.length ? threshold / Math.min(...stdLengths) : null;
+
+  const sizes = new Map();
+  for (const b of belts) {
+    sizes.set(b.id, {
+      length: b.length,
+      role: b.role || "",
+      avoid_for_international: Boolean(b.avoid_for_international),
+      capacity: perMetre && b.length ? Math.floor(b.length * perMetre) : null,
+    });
+  }
+  return sizes;
+}
@@ -0,0 +1,100 @@
+/**
+ * feeder/publish.js
+ *
+ * STEP 3 ("publish"): push docs/assignments.json to GitHub Pages.
+ *
+ *   - syncRepo(): fetch, switch to the branch and pull --rebase, so the
+ *     ops box never publishes on top of a stale checkout
+ *   - publish(): if the published files changed, touch
+ *     docs/last_update.txt (forces a Pages refresh), commit and push with
+ *     up to three tries (pull --rebase between tries)
+ *
+ * Plain `git` on PATH, so the same code runs on Windows and Linux.
+ * Git failures throw; "nothing changed" is not a failure.
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPO_ROOT = path.join(__dirname, "..");
+
+const PUSH_TRIES = 3;
+const PUSH_RETRY_MS = 5000;
+
+function git(args, { root, log, allowFail = false }) {
+  const res = spawnSync("git", args, { cwd: root, encoding: "utf8" });
+  if (res.error) {
+    throw new Error(`[publish] cannot run git: ${res.error.message}`);
+  }
+  const output = `${res.stdout || ""}${res.stderr || ""}`.trim();
+  if (res.status !== 0 && !allowFail) {
+    throw new Error(`[publish] git ${args.join(" ")} failed: ${output}`);
+  }
+  if (output) log.info(`git ${args[0]}`, { output });
+  return res.status;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function syncRepo({
+  root = REPO_ROOT,
+  remote = "origin",
+  branch = "main",
+  log,
+}) {
+  git(["fetch", remote], { root, log });
+  git(["switch", branch], { root, log });
+  git(["pull", "--rebase", remote, branch], { root, log });
+}
+
+/**
+ * Commit + push `files` (paths relative to root). Returns
+ * { committed, pushed }; with push = false we stop after the commit.
+ */
+export async function publish({
+  root = REPO_ROOT,
+  files = ["docs/assignments.json"],
+  remote = "origin",
+  branch = "main",
+  push = true,
+  log,
+}) {
+  git(["add", "--", ...files], { root, log });
+  const unchanged = spawnSync(
+    "git",
+    ["diff", "--cached", "--quiet", "--", ...files],
+    { cwd: root }
+  );
+  if (unchanged.status === 0) {
+    log.info("no changes to publish");
+    return { committed: false, pushed: false };
+  }
+
+  const stamp = new Date().toISOString();
+  fs.writeFileSync(
+    path.join(root, "docs", "last_update.txt"),
+    stamp + "\n",
+    "utf8"
+  );
+  git(["add", "--", "docs/last_update.txt"], { root, log });
+
+  git(["commit", "-m", `auto: update assignments ${stamp}`], { root, log });
+  if (!push) return { committed: true, pushed: false };
+
+  for (let attempt = 1; attempt <= PUSH_TRIES; attempt++) {
+    if (git(["push", remote, branch], { root, log, allowFail: true }) === 0) {
+      log.info("push ok", { attempt });
+      return { committed: true, pushed: true };
+    }
+    if (attempt === PUSH_TRIES) break;
+    log.warn("push failed, retrying", { attempt });
+    await sleep(PUSH_RETRY_MS);
+    git(["pull", "--rebase", remote, branch], { root, log });
+  }
+  throw new Error(`[publish] push failed after ${PUSH_TRIES} tries`);
+}
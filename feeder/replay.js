@@ -0,0 +1,274 @@
+/**
+ * feeder/replay.js
+ *
+ * Replay archived arrivals through the allocator as if the feeder had
+ * been running live, and score what would have happened. Use it to try
+ * a rules.json change against past traffic before it goes live:
+ *
+ *   node feeder/cli.js replay --in docs/alloc-log.json --rules new.json
+ *
+ * Input is the docs/alloc-log.json format (an array of rows with eta,
+ * status, origin_iata, ...) or an assignments.json ({ rows }). The log
+ * holds every sighting of a leg; each was captured at eta + ui_age_min
+ * (FR24's minutes since ETA), so each step sees the latest sighting
+ * captured by then (the first one before that) and ETAs move as they
+ * did live. Codeshares are folded per step (feeder/legs.js).
+ *
+ * Every `step` minutes the allocator (rules.json allocation.mode) sees
+ * what FR24 would have shown: flights due within the horizon whose belt
+ * window hasn't ended, landed once their ETA has passed. Last step's
+ * plan is passed in (sticky), so belt changes are counted exactly as
+ * live. The belt a flight had when its belt opened is what "happened";
+ * the KPIs are taken from that plan:
+ *
+ *   overlaps / over_capacity   planCost() of the executed plan
+ *   fallback_busy              flights placed beyond belt capacity
+ *   fixed_clashes              single-target flows (DOMESTIC → 7,
+ *                              CTA → 6) forced onto a belt in use
+ *   belt_changes               times a flight's belt changed between
+ *                              steps (flights_moved: flights affected)
+ *   belts                      per belt: flights, busy minutes and
+ *                              utilisation over the replayed span
+ *
+ * `onRun(t, plan)` is called with every simulated run's plan (cli.js
+ * `replay --frames` writes them out for timeline.html playback).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { estimatePax, beltSizes } from "./pax.js";
+import { legKey, mergeLegs } from "./legs.js";
+import { optimiseBelts } from "./optimise.js";
+import {
+  assignBelts,
+  baseReason,
+  classifyStatus,
+  flightKey,
+  flightOptions,
+  initUsage,
+  overlapsOrTooClose,
+  planCost,
+  prepRows,
+  RELEASED,
+  toMs,
+} from "./allocate.js";
+import { londonHHMM } from "../docs/time.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ALLOC_LOG_PATH = path.join(
+  __dirname,
+  "..",
+  "docs",
+  "alloc-log.json"
+);
+
+const MINUTE = 60000;
+
+export function loadArchivedRows(filePath = ALLOC_LOG_PATH) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`[replay] cannot read ${filePath}: ${err.message}`);
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed?.rows;
+  if (!Array.isArray(rows)) {
+    throw new Error(`[replay] ${filePath}: expected an array of rows`);
+  }
+  return rows.filter((r) => Number.isFinite(Date.parse(r.eta)));
+}
+
+// what FR24 would have said at `t`: landed once the ETA has passed, and
+// not landed before it
+function statusAt(r, t, rules) {
+  const lifecycle = classifyStatus(r.status, rules);
+  if (RELEASED.includes(lifecycle)) return r.status;
+  const etaLocal = r.eta_local || londonHHMM(r.eta);
+  if (toMs(r.eta) <= t) return `landed ${etaLocal}`;
+  if (lifecycle === "landed") return `estimated ${etaLocal}`;
+  return r.status;
+}
+
+// when a sighting was captured; without ui_age_min, before anything else
+function seenAt(r) {
+  return typeof r.ui_age_min === "number"
+    ? toMs(r.eta) + r.ui_age_min * MINUTE
+    : -Infinity;
+}
+
+// a leg as FR24 showed it at `t`: the latest sighting captured by then,
+// or the first one if it hadn't been captured yet. `list` is by seenAt.
+function sightingAt(list, t) {
+  let cur = list[0];
+  for (const r of list) {
+    if (seenAt(r) > t) break;
+    cur = r;
+  }
+  return cur;
+}
+
+// minutes covered by the union of [start, end) windows
+function busyMinutes(list) {
+  const spans = list
+    .map((f) => [toMs(f.start), toMs(f.end)])
+    .sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let curStart = null;
+  let curEnd = null;
+  for (const [s, e] of spans) {
+    if (curEnd === null || s > curEnd) {
+      if (curEnd !== null) total += curEnd - curStart;
+      curStart = s;
+      curEnd = e;
+    } else {
+      curEnd = Math.max(curEnd, e);
+    }
+  }
+  if (curEnd !== null) total += curEnd - curStart;
+  return Math.round(total / MINUTE);
+}
+
+// single-target flows placed on a belt someone else is using
+function fixedClashes(executed, rules, paxConfig) {
+  const sizes = beltSizes(paxConfig);
+  const outagesOnly = initUsage(rules);
+  const byFlow = {};
+  let total = 0;
+  for (const f of executed) {
+    if (f.belt === "" || f._pin) continue;
+    const opts = flightOptions(f, rules, sizes, outagesOnly);
+    if (opts.fixed === null) continue;
+    const clash = executed.some(
+      (g) => g !== f && g.belt === f.belt && overlapsOrTooClose(f, g)
+    );
+    if (!clash) continue;
+    total++;
+    byFlow[f.flow] = (byFlow[f.flow] || 0) + 1;
+  }
+  return { total, by_flow: byFlow };
+}
+
+/**
+ * Replay `rows` with `rules` / `paxConfig`. `stepMinutes` is how often
+ * the simulated feeder runs; `onRun(t, plan)` sees each run. Returns the
+ * KPI report (plain JSON).
+ */
+export function replayArrivals(rows, rules, paxConfig = {}, options = {}) {
+  const stepMs = (options.stepMinutes || 1) * MINUTE;
+  const allocate =
+    rules.allocation.mode === "optimise" ? optimiseBelts : assignBelts;
+  const horizonMs = rules.horizonMinutes * MINUTE;
+
+  const timed = rows.filter((r) => Number.isFinite(toMs(r.eta)));
+  if (!timed.length) throw new Error("[replay] no rows with an eta");
+  const firstEta = Math.min(...timed.map((r) => toMs(r.eta)));
+
+  // leg → its sightings, oldest capture first
+  const sightings = new Map();
+  for (const r of timed) {
+    const key = legKey(r, firstEta);
+    if (!sightings.has(key)) sightings.set(key, []);
+    sightings.get(key).push(r);
+  }
+  for (const list of sightings.values()) {
+    list.sort((a, b) => seenAt(a) - seenAt(b));
+  }
+
+  // belt window ends (and so how long a flight stays on the board)
+  const endsOf = (list, t) =>
+    new Map(
+      prepRows(list, rules, paxConfig, t).map((r) => [
+        flightKey(r),
+        toMs(r.end ?? r.eta),
+      ])
+    );
+
+  // the board at `t`: each leg as last captured, and its window end
+  function boardAt(t) {
+    const shown = [...sightings.values()].map((list) => sightingAt(list, t));
+    const legs = mergeLegs(shown, t).rows.map((r) => ({
+      ...r,
+      ...estimatePax(r, paxConfig),
+    }));
+    const ends = endsOf(legs, t);
+    return legs.map((r) => ({ r, end: ends.get(flightKey(r)) }));
+  }
+
+  const from = Math.floor((firstEta - horizonMs) / stepMs) * stepMs;
+  const to = Math.max(...endsOf(timed, firstEta).values());
+
+  let previous = new Map();
+  const lastBelt = new Map();
+  const executed = new Map();
+  const moves = new Map();
+  let runs = 0;
+
+  for (let t = from; t <= to; t += stepMs) {
+    const visible = boardAt(t)
+      .filter(({ r, end }) => toMs(r.eta) - horizonMs <= t && end >= t)
+      .map(({ r }) => ({ ...r, status: statusAt(r, t, rules) }));
+    if (!visible.length) continue;
+
+    const plan = allocate(visible, rules, paxConfig, { previous, now: t });
+    runs++;
+    if (options.onRun) options.onRun(t, plan);
+    previous = new Map();
+    for (const f of plan) {
+      const key = flightKey(f);
+      previous.set(key, { belt: f.belt, reason: f.reason });
+
+      const before = lastBelt.get(key);
+      if (before !== undefined && before !== "" && f.belt !== before) {
+        moves.set(key, (moves.get(key) || 0) + 1);
+      }
+      lastBelt.set(key, f.belt);
+
+      // the plan at the moment the belt opens is the one that ran
+      if (t <= toMs(f.start) || !executed.has(key)) executed.set(key, f);
+    }
+  }
+
+  const done = [...executed.values()];
+  const placed = done.filter(
+    (f) => f.belt !== "" && !RELEASED.includes(f.lifecycle)
+  );
+  const cost = planCost(done, rules, paxConfig);
+  const span = Math.max(1, Math.round((to - from) / MINUTE));
+
+  const belts = {};
+  for (const id of rules.beltIds) {
+    const list = placed.filter((f) => f.belt === id);
+    const busy = busyMinutes(list);
+    belts[id] = {
+      flights: list.length,
+      busy_minutes: busy,
+      utilisation: Math.round((busy / span) * 1000) / 1000,
+    };
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    step_minutes: stepMs / MINUTE,
+    runs,
+    flights: done.length,
+    kpis: {
+      overlaps: cost.overlaps,
+      over_capacity: cost.over_capacity,
+      fallback_busy: done.filter(
+        (f) => baseReason(f.reason) === "fallback_busy"
+      ).length,
+      fixed_clashes: fixedClashes(placed, rules, paxConfig),
+      belt_changes: [...moves.values()].reduce((a, b) => a + b, 0),
+      flights_moved: moves.size,
+      unassigned: done.filter(
+        (f) => f.belt === "" && !RELEASED.includes(f.lifecycle)
+      ).length,
+    },
+    cost,
+    belts,
+  };
+}
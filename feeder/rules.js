@@ -0,0 +1,450 @@
+/**
+ * feeder/rules.js
+ *
+ * Load + validate rules.json (repo root) for the allocator.
+ *
+ * rules.json is the single source of truth for:
+ *   - which belts exist (no belt 4 → simply not listed)
+ *   - which origins belong to which flow (CTA / DOMESTIC / ...)
+ *   - each flow's belt window buffers and belt preference order
+ *   - belt capacity: max_queue_per_belt flights may share a belt at once,
+ *     with first bags at least density_minutes apart
+ *
+ * Exactly one flow has no `iata_origins`: that is the default flow
+ * (INTERNATIONAL) for every origin not listed anywhere else.
+ *
+ * `allocation` picks the allocator ("greedy" or "optimise") and the cost
+ * weights both are scored with. Each belt may carry a relative `walk`
+ * penalty (distance from immigration) used by that cost.
+ *
+ * `sticky` keeps last run's belts where they still work; a flight within
+ * lock_minutes of ETA (or landed) is locked to its belt.
+ *
+ * `history` controls the per-day run archive (feeder/history.js): whether
+ * runs are recorded, the directory (relative to the repo root) and how
+ * many days of files to keep.
+ *
+ * `publish_guards` stop a plan that looks like a bad scrape from being
+ * written (feeder/schema.js): min_rows, max_row_drop_pct vs last run,
+ * max_eta_hours from the snapshot time.
+ *
+ * `status_include` / `status_exclude` are the status words that classify
+ * each row into a lifecycle (see compileStatusRules). Cancelled and
+ * diverted flights get no belt; scheduled-only ones get a tentative one.
+ *
+ * `outages` are maintenance windows: { belt, from, to, reason }.
+ * (`start` / `end` are accepted as aliases for from / to.)
+ *
+ * Anything inconsistent throws ONE error listing every problem, so the
+ * ops PC fails loudly instead of allocating with half a config.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RULES_PATH = path.join(__dirname, "..", "rules.json");
+
+const BUFFER_KEYS = ["start", "dwell", "cleanup"];
+
+export const ALLOCATION_MODES = ["greedy", "optimise"];
+
+export const LIFECYCLES = [
+  "scheduled",
+  "estimated",
+  "delayed",
+  "landed",
+  "cancelled",
+  "diverted",
+  "unknown",
+];
+
+const DEFAULT_WEIGHTS = {
+  overlaps: 10,
+  over_capacity: 100,
+  last_resort: 20,
+  heavy_off_long: 15,
+  walk: 1,
+  belt_change: 30,
+};
+
+function isNonNegNumber(v) {
+  return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+function isPosInt(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+// the lifecycle a status word stands for: excluded words are scheduled
+// (not yet flying) unless they say cancelled / diverted; included words
+// are estimated unless they say landed / delayed
+function lifecycleOf(term, excluded) {
+  if (excluded) {
+    if (/cancel/.test(term)) return "cancelled";
+    if (/divert/.test(term)) return "diverted";
+    return "scheduled";
+  }
+  if (/landed|arriv/.test(term)) return "landed";
+  if (/delay/.test(term)) return "delayed";
+  return "estimated";
+}
+
+/**
+ * status_include / status_exclude → [{ term, lifecycle }] in match order:
+ * cancelled / diverted first (they trump any time FR24 still shows), then
+ * the included words, then the rest of the excluded ones. A status that
+ * matches nothing is "unknown".
+ */
+function compileStatusRules(raw, problems) {
+  const lists = {};
+  for (const key of ["status_include", "status_exclude"]) {
+    const list = raw[key] ?? [];
+    if (!Array.isArray(list)) {
+      problems.push(`${key} must be an array of status words`);
+      lists[key] = [];
+      continue;
+    }
+    lists[key] = [];
+    list.forEach((t, i) => {
+      const term = typeof t === "string" ? t.trim().toLowerCase() : "";
+      if (!term) problems.push(`${key}[${i}] must be a non-empty string`);
+      else lists[key].push(term);
+    });
+  }
+  for (const term of lists.status_include) {
+    if (lists.status_exclude.includes(term)) {
+      problems.push(
+        `status "${term}" is in both status_include and status_exclude`
+      );
+    }
+  }
+
+  const excluded = lists.status_exclude.map((term) => ({
+    term,
+    lifecycle: lifecycleOf(term, true),
+  }));
+  const included = lists.status_include.map((term) => ({
+    term,
+    lifecycle: lifecycleOf(term, false),
+  }));
+  const released = (r) => ["cancelled", "diverted"].includes(r.lifecycle);
+  return [
+    ...excluded.filter(released),
+    ...included,
+    ...excluded.filter((r) => !released(r)),
+  ];
+}
+
+/**
+ * Validate the parsed JSON and build the structure the allocator uses.
+ * Throws if anything is off.
+ */
+export function compileRules(raw, source = "rules.json") {
+  const problems = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`[rules] ${source}: top level must be an object`);
+  }
+
+  // ---- belts ----
+  const belts = [];
+  const beltById = new Map();
+  if (!Array.isArray(raw.belts) || raw.belts.length === 0) {
+    problems.push("belts must be a non-empty array");
+  } else {
+    raw.belts.forEach((b, i) => {
+      if (!b || !isPosInt(b.id)) {
+        problems.push(`belts[${i}].id must be a positive integer`);
+        return;
+      }
+      if (beltById.has(b.id)) {
+        problems.push(`belt ${b.id} is declared twice`);
+        return;
+      }
+      if (b.walk !== undefined && !isNonNegNumber(b.walk)) {
+        problems.push(`belts[${i}].walk must be a number >= 0`);
+      }
+      // which flows use a belt, and in what order, is each flow's targets
+      if (b.preferred_flows !== undefined) {
+        problems.push(
+          `belts[${i}].preferred_flows is not used; ` +
+            "order each flow's targets instead"
+        );
+      }
+      const belt = { id: b.id, type: b.type || "standard", walk: b.walk || 0 };
+      beltById.set(b.id, belt);
+      belts.push(belt);
+    });
+  }
+
+  // ---- flows ----
+  const flows = {};
+  const originToFlow = new Map();
+  let defaultFlow = null;
+
+  if (!raw.flows || typeof raw.flows !== "object") {
+    problems.push("flows must be an object keyed by flow name");
+  } else {
+    for (const [name, f] of Object.entries(raw.flows)) {
+      const where = `flows.${name}`;
+      if (!f || typeof f !== "object") {
+        problems.push(`${where} must be an object`);
+        continue;
+      }
+
+      // buffers
+      const buffers = {};
+      if (!f.buffers || typeof f.buffers !== "object") {
+        problems.push(`${where}.buffers is missing`);
+      } else {
+        for (const k of BUFFER_KEYS) {
+          if (!isNonNegNumber(f.buffers[k])) {
+            problems.push(`${where}.buffers.${k} must be a number >= 0`);
+          }
+          buffers[k] = f.buffers[k];
+        }
+        if (f.buffers.dwell === 0) {
+          problems.push(`${where}.buffers.dwell must be > 0`);
+        }
+      }
+
+      // targets
+      const targets = [];
+      if (!Array.isArray(f.targets) || f.targets.length === 0) {
+        problems.push(`${where}.targets must be a non-empty array`);
+      } else {
+        for (const t of f.targets) {
+          if (!beltById.has(t)) {
+            problems.push(`${where}.targets references unknown belt ${t}`);
+          } else if (targets.includes(t)) {
+            problems.push(`${where}.targets lists belt ${t} twice`);
+          } else {
+            targets.push(t);
+          }
+        }
+      }
+
+      // origins (absent → default flow)
+      if (f.iata_origins === undefined) {
+        if (defaultFlow) {
+          problems.push(
+            `${where} and flows.${defaultFlow} both have no iata_origins; only one default flow is allowed`
+          );
+        } else {
+          defaultFlow = name;
+        }
+      } else if (!Array.isArray(f.iata_origins)) {
+        problems.push(`${where}.iata_origins must be an array`);
+      } else {
+        for (const o of f.iata_origins) {
+          const code = String(o || "").trim().toUpperCase();
+          if (!/^[A-Z]{3}$/.test(code)) {
+            problems.push(`${where}.iata_origins has invalid code "${o}"`);
+            continue;
+          }
+          const prev = originToFlow.get(code);
+          if (prev && prev !== name) {
+            problems.push(`origin ${code} is listed in both ${prev} and ${name}`);
+            continue;
+          }
+          originToFlow.set(code, name);
+        }
+      }
+
+      flows[name] = {
+        name,
+        tag: f.tag || name.toLowerCase(),
+        buffers,
+        targets,
+      };
+    }
+
+    if (!defaultFlow) {
+      problems.push(
+        "no default flow: exactly one flow must omit iata_origins (e.g. INTERNATIONAL)"
+      );
+    }
+  }
+
+  // ---- outages ----
+  const outages = [];
+  if (raw.outages !== undefined && !Array.isArray(raw.outages)) {
+    problems.push("outages must be an array");
+  } else {
+    (raw.outages || []).forEach((o, i) => {
+      const where = `outages[${i}]`;
+      if (!o || typeof o !== "object") {
+        problems.push(`${where} must be an object`);
+        return;
+      }
+      const from = o.from ?? o.start;
+      const to = o.to ?? o.end;
+      const fromMs = Date.parse(from);
+      const toMs = Date.parse(to);
+      if (!beltById.has(o.belt)) {
+        problems.push(`${where}.belt references unknown belt ${o.belt}`);
+      }
+      if (Number.isNaN(fromMs)) {
+        problems.push(`${where}.from is not a valid time: ${from}`);
+      }
+      if (Number.isNaN(toMs)) {
+        problems.push(`${where}.to is not a valid time: ${to}`);
+      }
+      if (fromMs >= toMs) {
+        problems.push(`${where}: from must be before to`);
+      }
+      outages.push({
+        belt: o.belt,
+        from: Number.isNaN(fromMs) ? null : new Date(fromMs).toISOString(),
+        to: Number.isNaN(toMs) ? null : new Date(toMs).toISOString(),
+        reason: o.reason || "",
+      });
+    });
+  }
+
+  if (raw.horizon_minutes !== undefined && !isPosInt(raw.horizon_minutes)) {
+    problems.push("horizon_minutes must be a positive integer");
+  }
+  if (
+    raw.max_queue_per_belt !== undefined &&
+    !isPosInt(raw.max_queue_per_belt)
+  ) {
+    problems.push("max_queue_per_belt must be a positive integer");
+  }
+  if (
+    raw.density_minutes !== undefined &&
+    !isNonNegNumber(raw.density_minutes)
+  ) {
+    problems.push("density_minutes must be a number >= 0");
+  }
+
+  // ---- allocation ----
+  const alloc = raw.allocation || {};
+  const mode = alloc.mode || "greedy";
+  if (!ALLOCATION_MODES.includes(mode)) {
+    problems.push(
+      `allocation.mode must be one of ${ALLOCATION_MODES.join(", ")} (got "${mode}")`
+    );
+  }
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const [k, v] of Object.entries(alloc.weights || {})) {
+    if (!(k in DEFAULT_WEIGHTS)) {
+      problems.push(`allocation.weights.${k} is not a known cost term`);
+    } else if (!isNonNegNumber(v)) {
+      problems.push(`allocation.weights.${k} must be a number >= 0`);
+    } else {
+      weights[k] = v;
+    }
+  }
+  if (alloc.max_passes !== undefined && !isPosInt(alloc.max_passes)) {
+    problems.push("allocation.max_passes must be a positive integer");
+  }
+
+  // ---- status lifecycle ----
+  const statusRules = compileStatusRules(raw, problems);
+
+  // ---- sticky ----
+  const sticky = raw.sticky || {};
+  if (sticky.enabled !== undefined && typeof sticky.enabled !== "boolean") {
+    problems.push("sticky.enabled must be true or false");
+  }
+  if (
+    sticky.lock_minutes !== undefined &&
+    !isNonNegNumber(sticky.lock_minutes)
+  ) {
+    problems.push("sticky.lock_minutes must be a number >= 0");
+  }
+
+  // ---- history ----
+  const history = raw.history || {};
+  if (history.enabled !== undefined && typeof history.enabled !== "boolean") {
+    problems.push("history.enabled must be true or false");
+  }
+  if (
+    history.dir !== undefined &&
+    (typeof history.dir !== "string" || !history.dir.trim())
+  ) {
+    problems.push("history.dir must be a non-empty path");
+  }
+  if (
+    history.retention_days !== undefined &&
+    !isPosInt(history.retention_days)
+  ) {
+    problems.push("history.retention_days must be a positive integer");
+  }
+
+  // ---- publish guards ----
+  const guards = raw.publish_guards || {};
+  if (guards.min_rows !== undefined && !Number.isInteger(guards.min_rows)) {
+    problems.push("publish_guards.min_rows must be a whole number");
+  }
+  if (
+    guards.max_row_drop_pct !== undefined &&
+    !(
+      isNonNegNumber(guards.max_row_drop_pct) &&
+      guards.max_row_drop_pct <= 100
+    )
+  ) {
+    problems.push("publish_guards.max_row_drop_pct must be 0..100");
+  }
+  if (
+    guards.max_eta_hours !== undefined &&
+    !(isNonNegNumber(guards.max_eta_hours) && guards.max_eta_hours > 0)
+  ) {
+    problems.push("publish_guards.max_eta_hours must be a number > 0");
+  }
+
+  if (problems.length) {
+    throw new Error(
+      `[rules] ${source} is inconsistent:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+
+  return {
+    airport: raw.airport || "",
+    horizonMinutes: raw.horizon_minutes || 180,
+    maxQueuePerBelt: raw.max_queue_per_belt || 1,
+    densityMinutes: raw.density_minutes || 0,
+    belts,
+    beltIds: belts.map((b) => b.id),
+    longBelts: belts.filter((b) => b.type === "long").map((b) => b.id),
+    beltWalk: new Map(belts.map((b) => [b.id, b.walk])),
+    flows,
+    originToFlow,
+    defaultFlow,
+    outages,
+    statusRules,
+    allocation: { mode, weights, maxPasses: alloc.max_passes || 20 },
+    sticky: {
+      enabled: sticky.enabled !== false,
+      lockMinutes: sticky.lock_minutes ?? 30,
+    },
+    history: {
+      enabled: history.enabled !== false,
+      dir: history.dir || "history",
+      retentionDays: history.retention_days || 30,
+    },
+    guards: {
+      minRows: guards.min_rows ?? 1,
+      maxRowDropPct: guards.max_row_drop_pct ?? 50,
+      maxEtaHours: guards.max_eta_hours ?? 24,
+    },
+  };
+}
+
+/**
+ * Read rules.json from disk and compile it.
+ */
+export function loadRules(rulesPath = RULES_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+  } catch (err) {
+    throw new Error(`[rules] cannot read ${rulesPath}: ${err.message}`);
+  }
+  return compileRules(raw, path.basename(rulesPath));
+}
@@ -0,0 +1,236 @@
+/**
+ * feeder/schema.js
+ *
+ * The shape of docs/assignments.json, and the gate every plan passes
+ * before it is written (and so before it can be published).
+ *
+ * SCHEMA_VERSION is written into the file as `schema_version`; bump it
+ * when a field is removed or changes meaning (new fields don't need it).
+ *
+ * Two kinds of check:
+ *   - validateAssignments(): every top-level field and every row field
+ *     has the right type / format (belts must exist in rules.json,
+ *     flights must look like flight numbers)
+ *   - sanityProblems(): the file is well-formed but looks like a bad
+ *     scrape (rules.json publish_guards): too few rows, far fewer rows
+ *     than last run, ETAs too far from the snapshot time
+ *
+ * checkAssignments() runs both and throws ONE error listing every
+ * problem, so the feeder keeps the last good file and exits non-zero.
+ */
+
+import fs from "fs";
+import { LIFECYCLES } from "./rules.js";
+
+export const SCHEMA_VERSION = 1;
+
+// a drop from 4 rows to 1 at night is normal; only compare bigger boards
+const DROP_CHECK_MIN_ROWS = 10;
+
+// at most this many offending rows are named per problem
+const MAX_EXAMPLES = 5;
+
+const isString = (v) => typeof v === "string";
+const isBool = (v) => typeof v === "boolean";
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isIso = (v) => isString(v) && !Number.isNaN(Date.parse(v));
+const isHHMM = (v) => v === "" || /^\d{2}:\d{2}$/.test(v);
+const orNull = (check) => (v) => v === null || check(v);
+
+// "FR506", "U2 2848", "X36533": airline code + number (+ suffix letter).
+// Scraped page furniture ("MY FLIGHTRADAR24", CSS) never looks like one.
+const FLIGHT_NUMBER = /^[A-Z0-9]{2,3}\d{1,4}[A-Z]?$/;
+export const isFlightNumber = (v) =>
+  isString(v) && FLIGHT_NUMBER.test(v.replace(/\s+/g, "").toUpperCase());
+
+// field → [check, what it should be]; belts and flows come from rules
+function rowFields(rules) {
+  const isBelt = (v) => rules.beltIds.includes(v);
+  return {
+    flight: [isFlightNumber, "a flight number"],
+    codeshares: [
+      (v) => Array.isArray(v) && v.every(isFlightNumber),
+      "an array of flight numbers",
+    ],
+    origin: [isString, "a string"],
+    origin_iata: [isString, "a string"],
+    eta: [orNull(isIso), "an ISO time or null"],
+    status: [isString, "a string"],
+    lifecycle: [(v) => LIFECYCLES.includes(v), LIFECYCLES.join("|")],
+    flow: [(v) => v === "" || v in rules.flows, "a rules.json flow"],
+    belt: [(v) => v === "" || isBelt(v), "a rules.json belt or \"\""],
+    tentative: [isBool, "true or false"],
+    start: [orNull(isIso), "an ISO time or null"],
+    end: [orNull(isIso), "an ISO time or null"],
+    reason: [isString, "a string"],
+    airline: [isString, "a string"],
+    aircraft: [isString, "a string"],
+    registration: [isString, "a string"],
+    pax_estimate: [orNull(isNumber), "a number or null"],
+    pax_basis: [isString, "a string"],
+    scheduled_local: [isHHMM, "HH:MM or \"\""],
+    eta_local: [isHHMM, "HH:MM or \"\""],
+    delay_min: [orNull(Number.isInteger), "whole minutes or null"],
+    ui_state: [isString, "a string"],
+    ui_age_min: [isNumber, "a number"],
+    locked: [isBool, "true or false"],
+    prev_belt: [orNull(isBelt), "a rules.json belt or null"],
+    forced_move: [isBool, "true or false"],
+  };
+}
+
+function examples(list) {
+  const shown = list.slice(0, MAX_EXAMPLES).join(", ");
+  return list.length > MAX_EXAMPLES
+    ? `${shown} (+${list.length - MAX_EXAMPLES} more)`
+    : shown;
+}
+
+/**
+ * Structural check of a whole assignments document. Returns a list of
+ * problems (empty = valid).
+ */
+export function validateAssignments(doc, rules) {
+  const problems = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return ["top level must be an object"];
+  }
+
+  if (doc.schema_version !== SCHEMA_VERSION) {
+    problems.push(
+      `schema_version must be ${SCHEMA_VERSION} (got ${doc.schema_version})`
+    );
+  }
+  if (!isIso(doc.generated_at_utc)) {
+    problems.push("generated_at_utc must be an ISO time");
+  }
+  if (!isString(doc.generated_at_local)) {
+    problems.push("generated_at_local must be a string");
+  }
+  if (!isString(doc.source)) problems.push("source must be a string");
+  if (!isNumber(doc.horizon_minutes)) {
+    problems.push("horizon_minutes must be a number");
+  }
+  if (!Array.isArray(doc.outages)) problems.push("outages must be an array");
+  if (!Array.isArray(doc.conflicts)) {
+    problems.push("conflicts must be an array");
+  }
+  const br = doc.belt_rules;
+  if (
+    !br ||
+    !Array.isArray(br.belts) ||
+    !isNumber(br.max_queue_per_belt) ||
+    !isNumber(br.density_minutes) ||
+    typeof br.cleanup_minutes !== "object"
+  ) {
+    problems.push(
+      "belt_rules must give belts, max_queue_per_belt, density_minutes " +
+        "and cleanup_minutes"
+    );
+  }
+  if (!Array.isArray(doc.rows)) {
+    problems.push("rows must be an array");
+    return problems;
+  }
+
+  // one problem per field, naming the rows that break it
+  const fields = rowFields(rules);
+  const bad = new Map();
+  doc.rows.forEach((r, i) => {
+    const name = `rows[${i}]${r && r.flight ? ` ${r.flight}` : ""}`;
+    if (!r || typeof r !== "object") {
+      problems.push(`${name} must be an object`);
+      return;
+    }
+    for (const [k, [check]] of Object.entries(fields)) {
+      if (check(r[k])) continue;
+      if (!bad.has(k)) bad.set(k, []);
+      bad.get(k).push(name);
+    }
+    if (r.start && r.end && Date.parse(r.start) >= Date.parse(r.end)) {
+      if (!bad.has("start")) bad.set("start", []);
+      bad.get("start").push(`${name} (start not before end)`);
+    }
+  });
+  for (const [k, where] of bad) {
+    problems.push(`${k} must be ${fields[k][1]}: ${examples(where)}`);
+  }
+  return problems;
+}
+
+/**
+ * "Looks like a bad scrape" checks against rules.json publish_guards.
+ * `previousRows` is last run's row count (null if there was no file).
+ */
+export function sanityProblems(doc, guards, previousRows = null) {
+  const problems = [];
+  const rows = doc.rows;
+
+  if (rows.length < guards.minRows) {
+    problems.push(
+      `only ${rows.length} rows (publish_guards.min_rows is ${guards.minRows})`
+    );
+  }
+
+  if (previousRows !== null && previousRows >= DROP_CHECK_MIN_ROWS) {
+    const dropPct = ((previousRows - rows.length) / previousRows) * 100;
+    if (dropPct > guards.maxRowDropPct) {
+      problems.push(
+        `row count fell ${Math.round(dropPct)}% (${previousRows} → ` +
+          `${rows.length}); publish_guards.max_row_drop_pct is ` +
+          `${guards.maxRowDropPct}`
+      );
+    }
+  }
+
+  const refMs = Date.parse(doc.generated_at_utc);
+  const limitMs = guards.maxEtaHours * 3600000;
+  const far = rows
+    .filter((r) => r.eta && Math.abs(Date.parse(r.eta) - refMs) > limitMs)
+    .map((r) => `${r.flight} ${r.eta}`);
+  if (far.length) {
+    problems.push(
+      `${far.length} ETAs more than ${guards.maxEtaHours} h from the ` +
+        `snapshot: ${examples(far)}`
+    );
+  }
+  return problems;
+}
+
+/**
+ * The publish gate. Throws if the document is malformed or (unless
+ * `force`) fails a sanity guard.
+ */
+export function checkAssignments(
+  doc,
+  rules,
+  { previousRows = null, force = false } = {}
+) {
+  const problems = validateAssignments(doc, rules);
+  if (!problems.length && !force) {
+    problems.push(...sanityProblems(doc, rules.guards, previousRows));
+  }
+  if (problems.length) {
+    throw new Error(
+      `[schema] assignments rejected, last good file kept:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+}
+
+/**
+ * Schema-check a file already on disk (before publishing it).
+ */
+export function checkAssignmentsFile(filePath, rules) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`[schema] cannot read ${filePath}: ${err.message}`);
+  }
+  const problems = validateAssignments(doc, rules);
+  if (problems.length) {
+    throw new Error(
+      `[schema] ${filePath} is not publishable:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+}
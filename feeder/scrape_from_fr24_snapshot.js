@@ -29,10 +29,18 @@
  *    C) Loose text lines that look like flights
  *
  * - We normalise times to ISO and add a 30-min belt window.
+ * - FR24 times are Europe/London wall clock. They are resolved against
+ *   the snapshot's save time (file mtime) with docs/time.js, so "00:34"
+ *   saved at 21:17 is tomorrow, not this morning.
  */
 
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { londonHHMM, londonLocalIso, resolveLondonTime } from '../docs/time.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const SNAPSHOT_PATH = path.join(__dirname, 'raw', 'fr24_arrivals.html');
 const OUT_PATH      = path.join(__dirname, 'source_fr24.json');
@@ -58,14 +66,11 @@ function extractTimeLike(str) {
 }
 
 /**
- * Convert "20:34" to a full ISO using today's date
+ * Convert London "20:34" to a full ISO, nearest the snapshot time
  */
-function todayTimeToISO(hhmm) {
-  if (!hhmm) return null;
-  const now = new Date();
-  const [hh, mm] = hhmm.split(':').map(Number);
-  const dt = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hh, mm, 0, 0);
-  return dt.toISOString();
+function londonTimeToISO(hhmm, snapshotMs) {
+  const ms = resolveLondonTime(hhmm, snapshotMs);
+  return ms === null ? null : new Date(ms).toISOString();
 }
 
 /**
@@ -79,7 +84,7 @@ function normFlight(f) {
 /**
  * Parse the HTML in several passes.
  */
-function parseFR24Html(html) {
+function parseFR24Html(html, snapshotMs) {
   const rows = [];
   const errors = [];
 
@@ -104,7 +109,7 @@ function parseFR24Html(html) {
     const statusOrTime = tds.find(t => /\d{1,2}:\d{2}/.test(t)) || '';
 
     const timeStr = extractTimeLike(statusOrTime);
-    const etaIso = todayTimeToISO(timeStr);
+    const etaIso = londonTimeToISO(timeStr, snapshotMs);
 
     const startIso = etaIso;
     let endIso = null;
@@ -155,11 +160,11 @@ function parseFR24Html(html) {
                        nearby.match(/"time"\s*:\s*"([^"]+)"/);
       let etaIso = null;
       if (etaMatch) {
-        // if it's already ISO, keep it, else try todayTimeToISO
+        // if it's already ISO, keep it, else try londonTimeToISO
         if (etaMatch[1].includes('T')) {
           etaIso = etaMatch[1];
         } else {
-          etaIso = todayTimeToISO(etaMatch[1]);
+          etaIso = londonTimeToISO(etaMatch[1], snapshotMs);
         }
       }
 
@@ -188,7 +193,7 @@ function parseFR24Html(html) {
           aircraft: '',
           pax_estimate: null,
           scheduled_local: '',
-          eta_local: etaIso ? new Date(etaIso).toTimeString().slice(0,5) : '',
+          eta_local: londonHHMM(etaIso),
           delay_min: null,
           ui_state: 'upcoming',
           ui_age_min: 0,
@@ -209,8 +214,8 @@ function parseFR24Html(html) {
   });
 
   return {
-    generated_at_utc: new Date().toISOString(),
-    generated_at_local: new Date().toISOString().slice(0,19),
+    generated_at_utc: new Date(snapshotMs).toISOString(),
+    generated_at_local: londonLocalIso(snapshotMs),
     source: 'fr24 (local snapshot html)',
     horizon_minutes: 180,
     rows: clean
@@ -225,7 +230,8 @@ function main() {
   }
 
   const html = fs.readFileSync(SNAPSHOT_PATH, 'utf8');
-  const data = parseFR24Html(html);
+  const snapshotMs = fs.statSync(SNAPSHOT_PATH).mtimeMs;
+  const data = parseFR24Html(html, snapshotMs);
 
   fs.writeFileSync(OUT_PATH, JSON.stringify(data, null, 2), 'utf8');
   console.log('[snap] wrote', OUT_PATH, 'with', data.rows.length, 'rows.');
@@ -0,0 +1,281 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  assignBelts,
+  canPlaceOnBeltStrict,
+  canShareBelt,
+  classifyStatus,
+  initUsage,
+  planCost,
+  prepRows,
+  toMs,
+} from "../feeder/allocate.js";
+import { at, paxConfig, RAW_RULES, row, rules } from "./helpers.js";
+
+const byFlight = (rows) => new Map(rows.map((r) => [r.flight, r]));
+
+// FR24 has only the schedule for it
+const scheduled = (flight, hhmm = "") =>
+  row(flight, "MAD", null, { status: "Scheduled", scheduled_local: hhmm });
+
+test("no ETA: the window comes from the scheduled time", () => {
+  const plan = byFlight(
+    assignBelts(
+      [scheduled("FR1", "14:30")],
+      rules(),
+      paxConfig(),
+      { now: Date.parse(at(0)), refMs: Date.parse(at(0)) }
+    )
+  );
+  const f = plan.get("FR1");
+  assert.equal(f.tentative, true);
+  assert.equal(f.start, at(45));
+  assert.equal(f.end, at(75));
+  assert.equal(f.belt, 1);
+});
+
+test("scheduled-only rows compete for belts by their schedule", () => {
+  const plan = byFlight(
+    assignBelts(
+      [
+        scheduled("FR1", "14:30"),
+        scheduled("FR2", "14:30"),
+      ],
+      rules(),
+      paxConfig(),
+      { refMs: Date.parse(at(0)) }
+    )
+  );
+  assert.notEqual(plan.get("FR1").belt, plan.get("FR2").belt);
+});
+
+test("no ETA and no schedule: left unassigned", () => {
+  const [f] = assignBelts(
+    [scheduled("FR1")],
+    rules(),
+    paxConfig(),
+    { refMs: Date.parse(at(0)) }
+  );
+  assert.equal(f.belt, "");
+  assert.equal(f.reason, "no_time");
+  assert.equal(f.start, null);
+});
+
+test("a locked flight kept on a full belt is fallback_busy", () => {
+  const now = Date.parse(at(0));
+  // six INTERNATIONAL flights at once on five belts, all locked there
+  const rows = [1, 2, 3, 4, 5, 6].map((n) => row(`FR${n}`, "MAD", 10));
+  const belts = [1, 2, 3, 5, 6, 1];
+  const previous = new Map(
+    rows.map((r, i) => [`${r.flight}|MAD|`, { belt: belts[i] }])
+  );
+  const plan = byFlight(
+    assignBelts(rows, rules(), paxConfig(), { now, previous })
+  );
+  assert.equal(plan.get("FR1").belt, 1);
+  assert.equal(plan.get("FR6").belt, 1);
+  assert.equal(plan.get("FR6").reason, "fallback_busy");
+  assert.equal(plan.get("FR2").reason, "intl_spread");
+});
+
+// rules.json with INTERNATIONAL down to belts 1 and 2, and 2 out all day
+// (a single-target flow would be fixed to its belt, capacity or not)
+const oneBeltRaw = () => ({
+  flows: {
+    ...RAW_RULES.flows,
+    INTERNATIONAL: { ...RAW_RULES.flows.INTERNATIONAL, targets: [1, 2] },
+  },
+  outages: [{ belt: 2, from: at(-600), to: at(600), reason: "Engineering" }],
+});
+const oneBelt = () => rules(oneBeltRaw());
+
+test("a free belt first, then sharing up to max_queue_per_belt", () => {
+  const plan = byFlight(
+    assignBelts(
+      [row("FR1", "MAD", 0), row("FR2", "MAD", 15), row("FR3", "MAD", 25)],
+      rules(),
+      paxConfig()
+    )
+  );
+  // three overlapping windows, three belts: nobody shares
+  assert.deepEqual(
+    ["FR1", "FR2", "FR3"].map((f) => plan.get(f).belt),
+    [1, 2, 3]
+  );
+
+  const shared = byFlight(
+    assignBelts(
+      [row("FR1", "MAD", 0), row("FR2", "MAD", 15)],
+      oneBelt(),
+      paxConfig()
+    )
+  );
+  assert.equal(shared.get("FR2").belt, 1);
+  assert.equal(shared.get("FR2").reason, "intl_spread");
+});
+
+test("first bags closer than density_minutes can't share", () => {
+  const plan = byFlight(
+    assignBelts(
+      [row("FR1", "MAD", 0), row("FR2", "MAD", 5)],
+      oneBelt(),
+      paxConfig()
+    )
+  );
+  assert.equal(plan.get("FR2").belt, 1);
+  assert.equal(plan.get("FR2").reason, "fallback_busy");
+});
+
+test("no more than max_queue_per_belt at once", () => {
+  const plan = byFlight(
+    assignBelts(
+      [row("FR1", "MAD", 0), row("FR2", "MAD", 12), row("FR3", "MAD", 24)],
+      oneBelt(),
+      paxConfig()
+    )
+  );
+  assert.equal(plan.get("FR2").reason, "intl_spread");
+  assert.equal(plan.get("FR3").reason, "fallback_busy");
+
+  // with room for three, the third shares too
+  const roomy = byFlight(
+    assignBelts(
+      [row("FR1", "MAD", 0), row("FR2", "MAD", 12), row("FR3", "MAD", 24)],
+      rules({ ...oneBeltRaw(), max_queue_per_belt: 3 }),
+      paxConfig()
+    )
+  );
+  assert.equal(roomy.get("FR3").reason, "intl_spread");
+});
+
+test("canShareBelt / canPlaceOnBeltStrict", () => {
+  const r = rules();
+  const usage = initUsage(r);
+  // prepRows sorts by start: FR1, FR3 (5 min later), FR2 (15 min later)
+  const [a, c, b] = prepRows(
+    [row("FR1", "MAD", 0), row("FR2", "MAD", 15), row("FR3", "MAD", 5)],
+    r
+  );
+  usage[1].push({ startMs: toMs(a.start), endMs: toMs(a.end), flightRef: a });
+  assert.equal(canPlaceOnBeltStrict(b, 1, usage, r), false);
+  assert.equal(canShareBelt(b, 1, usage, r), true);
+  assert.equal(canShareBelt(c, 1, usage, r), false);
+  assert.equal(canPlaceOnBeltStrict(b, 2, usage, r), true);
+});
+
+test("outages block a belt for their window", () => {
+  const r = rules({
+    outages: [{ belt: 1, from: at(0), to: at(120), reason: "Engineering" }],
+  });
+  const [f] = assignBelts([row("FR1", "MAD", 0)], r, paxConfig());
+  assert.equal(f.belt, 2);
+  assert.equal(f.reason, "outage:belt1");
+});
+
+test("heavy flights go to the long belt, named by bags", () => {
+  const plan = byFlight(
+    assignBelts(
+      [
+        row("LS1", "PMI", 0, { pax_estimate: 230 }),
+        row("FR2", "MAD", 0, { pax_estimate: 100 }),
+      ],
+      rules(),
+      paxConfig()
+    )
+  );
+  assert.equal(plan.get("LS1").belt, 5);
+  assert.equal(plan.get("LS1").reason, "heavy→5 (230 bags / 100 m)");
+  assert.equal(plan.get("FR2").belt, 1);
+  assert.equal(plan.get("FR2").reason, "intl_spread");
+});
+
+test("bags beyond every belt's capacity still go long first", () => {
+  // 300 bags: more than belt 5's 268
+  const [f] = assignBelts(
+    [row("LS1", "ALC", 0, { pax_estimate: 300, airline: "Jet2" })],
+    rules(),
+    paxConfig()
+  );
+  assert.equal(f.belt, 5);
+  assert.equal(f.reason, "heavy→5 (300 bags / 100 m)");
+
+  // with 5 taken, the next biggest: a standard belt, still heavy
+  const plan = byFlight(
+    assignBelts(
+      [
+        row("LS1", "ALC", 0, { pax_estimate: 300 }),
+        row("LS2", "ALC", 2, { pax_estimate: 300 }),
+      ],
+      rules(),
+      paxConfig()
+    )
+  );
+  assert.equal(plan.get("LS2").belt, 1);
+  assert.equal(plan.get("LS2").reason, "intl_spread (300 bags / 67 m)");
+});
+
+test("belt 6 is a last resort only for the default flow", () => {
+  // every other INTERNATIONAL belt out: 6 is still used
+  const outages = [1, 2, 3, 5].map((belt) => ({
+    belt,
+    from: at(-60),
+    to: at(120),
+    reason: "Engineering",
+  }));
+  const r = rules({ outages });
+  const [intl] = assignBelts([row("FR1", "MAD", 0)], r, paxConfig());
+  assert.equal(intl.belt, 6);
+  assert.equal(planCost([intl], r, paxConfig()).last_resort, 1);
+
+  // CTA flights belong on 6
+  const [cta] = assignBelts([row("EI1", "DUB", 0)], r, paxConfig());
+  assert.equal(cta.belt, 6);
+  assert.equal(planCost([cta], r, paxConfig()).last_resort, 0);
+});
+
+test("status words classify into a lifecycle", () => {
+  const r = rules();
+  const cases = {
+    "Landed 21:23": "landed",
+    "Estimated 21:35": "estimated",
+    "Delayed 00:34": "delayed",
+    Scheduled: "scheduled",
+    "Not departed": "scheduled",
+    Cancelled: "cancelled",
+    // FR24's spelling
+    Canceled: "cancelled",
+    "Diverted to CWL": "diverted",
+    // cancelled / diverted trump a time FR24 still shows
+    "Estimated 21:35 Canceled": "cancelled",
+    Boarding: "unknown",
+    "": "unknown",
+  };
+  for (const [status, lifecycle] of Object.entries(cases)) {
+    assert.equal(classifyStatus(status, r), lifecycle, status);
+  }
+});
+
+test("released flights get no belt; scheduled ones a tentative one", () => {
+  const plan = byFlight(
+    assignBelts(
+      [
+        row("FR1", "MAD", 0, { status: "Canceled" }),
+        row("FR2", "MAD", 0, { status: "Diverted" }),
+        row("FR3", "MAD", 0, { status: "Scheduled" }),
+        row("FR4", "MAD", 0, { status: "Landed 14:00" }),
+      ],
+      rules(),
+      paxConfig()
+    )
+  );
+  for (const f of ["FR1", "FR2"]) {
+    const r = plan.get(f);
+    assert.deepEqual([r.belt, r.start, r.end], ["", null, null], f);
+    assert.equal(r.reason, r.lifecycle);
+  }
+  assert.equal(plan.get("FR3").tentative, true);
+  assert.equal(plan.get("FR4").tentative, false);
+  // the live flight goes first; the tentative one takes what is left
+  assert.equal(plan.get("FR4").belt, 1);
+  assert.equal(plan.get("FR3").belt, 2);
+});
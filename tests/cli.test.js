@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { main } from "../feeder/cli.js";
+import { validateAssignments } from "../feeder/schema.js";
+import { rules } from "./helpers.js";
+
+// main() with console output captured: { code, out, err }
+async function run(t, ...argv) {
+  const out = [];
+  const err = [];
+  t.mock.method(console, "log", (s) => out.push(String(s)));
+  t.mock.method(console, "warn", (s) => err.push(String(s)));
+  t.mock.method(console, "error", (s) => err.push(String(s)));
+  const code = await main(argv);
+  t.mock.restoreAll();
+  return { code, out: out.join("\n"), err: err.join("\n") };
+}
+
+const arrival = (flight, origin, eta) => ({
+  flight,
+  origin_iata: origin,
+  eta,
+  status: "Estimated",
+});
+
+// a scratch directory removed when the test ends
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brs-cli-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("help and bad command lines", async (t) => {
+  const help = await run(t, "--help");
+  assert.equal(help.code, 0);
+  assert.match(help.out, /^usage: node feeder\/cli\.js <ingest\|allocate/);
+
+  const none = await run(t);
+  assert.equal(none.code, 2);
+  assert.match(none.err, /^no command\n\nusage:/);
+
+  const unknown = await run(t, "deploy", "now");
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.err, /^unknown command: deploy now/);
+
+  const extra = await run(t, "allocate", "now");
+  assert.equal(extra.code, 2);
+
+  const flag = await run(t, "allocate", "--nope");
+  assert.equal(flag.code, 2);
+  assert.match(flag.err, /--nope/);
+});
+
+test("a failing step exits 1 and logs why", async (t) => {
+  const dir = tmpDir(t);
+  const log = path.join(dir, "feeder.log");
+
+  const step = await run(t, "replay", "--step", "0", "--log", log);
+  assert.equal(step.code, 1);
+  assert.match(step.err, /--step must be a whole number of minutes: 0/);
+
+  const at = await run(t, "history", "--history", dir, "--log", log);
+  assert.equal(at.code, 1);
+  assert.match(at.err, /history needs --at/);
+
+  const empty = await run(
+    t,
+    "history",
+    "--history",
+    dir,
+    "--at",
+    "14:30",
+    "--date",
+    "2025-11-02"
+  );
+  assert.equal(empty.code, 1);
+  assert.match(empty.err, /no run recorded at or before 2025-11-02 14:30/);
+
+  // the log file got every entry as a JSON line
+  const entries = fs
+    .readFileSync(log, "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.deepEqual(
+    entries.filter((e) => e.level === "error").map((e) => e.command),
+    ["replay", "history"]
+  );
+});
+
+test("allocate writes --out, never docs/", async (t) => {
+  const dir = tmpDir(t);
+  const inPath = path.join(dir, "arrivals.json");
+  const outPath = path.join(dir, "assignments.json");
+  const soon = (mins) => new Date(Date.now() + mins * 60000).toISOString();
+  fs.writeFileSync(
+    inPath,
+    JSON.stringify({
+      generated_at_utc: soon(0),
+      rows: [arrival("FR1", "MAD", soon(30)), arrival("EI2", "DUB", soon(40))],
+    })
+  );
+
+  const res = await run(
+    t,
+    "allocate",
+    "--in",
+    inPath,
+    "--out",
+    outPath,
+    "--history",
+    dir,
+    "--json"
+  );
+  assert.equal(res.code, 0, res.err);
+
+  const doc = JSON.parse(fs.readFileSync(outPath, "utf8"));
+  assert.deepEqual(validateAssignments(doc, rules()), []);
+  assert.deepEqual(
+    doc.rows.map((r) => [r.flight, r.belt]),
+    [
+      ["FR1", 1],
+      ["EI2", 6],
+    ]
+  );
+  // --json: every console line is a log entry
+  for (const line of res.out.split("\n")) JSON.parse(line);
+});
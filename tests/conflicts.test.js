@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findConflicts } from "../feeder/conflicts.js";
+import { prepRows } from "../feeder/allocate.js";
+import { paxConfig, row, rules } from "./helpers.js";
+
+// a finished plan: each flight on the belt given, windows from its ETA
+function plan(list, r = rules()) {
+  const rows = prepRows(
+    list.map(([flight, origin, eta]) => row(flight, origin, eta)),
+    r,
+    paxConfig()
+  );
+  const belts = new Map(list.map(([flight, , , belt]) => [flight, belt]));
+  for (const f of rows) {
+    f.belt = belts.get(f.flight);
+    f.reason = "intl_spread";
+  }
+  return rows;
+}
+
+test("suggests a free belt from the flight's own flow", () => {
+  const [c] = findConflicts(
+    plan([
+      ["FR1", "MAD", 0, 1],
+      ["FR2", "MAD", 20, 1],
+    ]),
+    rules(),
+    paxConfig()
+  );
+  assert.deepEqual(c.flights, ["FR1", "FR2"]);
+  assert.equal(c.severity, "low");
+  assert.equal(c.suggested_flight, "FR2");
+  assert.equal(c.suggested_belt, 2);
+});
+
+test("never suggests another flow's belt", () => {
+  // every INTERNATIONAL belt busy; only DOMESTIC belt 7 is free
+  const [c] = findConflicts(
+    plan([
+      ["FR1", "MAD", 0, 1],
+      ["FR2", "MAD", 20, 1],
+      ["FR3", "MAD", 0, 2],
+      ["FR4", "MAD", 0, 3],
+      ["FR5", "MAD", 0, 5],
+      ["FR6", "MAD", 0, 6],
+    ]),
+    rules(),
+    paxConfig()
+  );
+  assert.equal(c.belt, 1);
+  assert.equal(c.suggested_flight, null);
+  assert.equal(c.suggested_belt, null);
+});
+
+test("spills down the default flow only when the flow's belt is out", () => {
+  const r = rules({
+    outages: [
+      { belt: 7, from: "2025-11-02T13:00:00Z", to: "2025-11-02T18:00:00Z" },
+    ],
+  });
+  const [c] = findConflicts(
+    plan(
+      [
+        ["U21", "EDI", 0, 1],
+        ["U22", "EDI", 20, 1],
+      ],
+      r
+    ),
+    r,
+    paxConfig()
+  );
+  assert.equal(c.suggested_flight, "U22");
+  assert.equal(c.suggested_belt, 2);
+});
+
+test("fallback_busy under a forced move is high", () => {
+  const rows = plan([
+    ["FR1", "MAD", 0, 1],
+    ["FR2", "MAD", 20, 1],
+  ]);
+  rows[1].reason = "forced_move:2→1 (fallback_busy)";
+  const [c] = findConflicts(rows, rules(), paxConfig());
+  assert.equal(c.severity, "high");
+  assert.equal(c.cause, "fallback_busy");
+});
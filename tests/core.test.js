@@ -0,0 +1,196 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkOverrides,
+  dedupeRows,
+  delayBand,
+  delayOf,
+  escapeHtml,
+  isFinals,
+  normaliseRow,
+  originCity,
+  readRows,
+  reclaimPhase,
+  rowKey,
+  sortRows,
+  statusOf,
+} from "../docs/core.js";
+import { at } from "./helpers.js";
+
+const BELTS = [1, 2, 3, 5, 6, 7];
+const NOW = Date.parse(at(0));
+
+test("rows come out in one shape", () => {
+  const r = normaliseRow({ flight: "FR506", belt: "6", origin_iata: "dub" });
+  assert.equal(r.belt, 6);
+  assert.equal(r.origin_iata, "DUB");
+  assert.deepEqual(r.codeshares, []);
+  assert.equal(normaliseRow({ belt: null }).belt, "");
+  assert.equal(normaliseRow({ belt: "X" }).belt, "X");
+
+  assert.equal(originCity({ origin: "Madrid(MAD)" }), "Madrid");
+  assert.equal(originCity({ origin: "", origin_iata: "mad" }), "MAD");
+});
+
+test("one row per leg, the freshest sighting kept in place", () => {
+  const leg = {
+    flight: "fr 506",
+    origin_iata: "dub",
+    scheduled_local: "14:45",
+  };
+  assert.equal(rowKey(leg), "FR506|DUB|14:45");
+
+  const scheduled = { ...leg, status: "Scheduled" };
+  const other = { flight: "EI2", origin_iata: "DUB", scheduled_local: "15:00" };
+  const estimated = { ...leg, flight: "FR506", status: "Estimated 14:50" };
+  const later = { ...estimated, status: "Delayed 14:55" };
+  assert.deepEqual(dedupeRows([scheduled, other, estimated]), [
+    other,
+    estimated,
+  ]);
+  // a tie goes to the later row; an older status never wins
+  assert.deepEqual(dedupeRows([estimated, later]), [later]);
+  assert.deepEqual(dedupeRows([{ ...leg, status: "Landed" }, later]), [
+    { ...leg, status: "Landed" },
+  ]);
+
+  const rows = readRows({ rows: [{ ...scheduled, belt: "3" }, estimated] });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].belt, "");
+  assert.deepEqual(readRows(null), []);
+});
+
+test("rows sort by eta, then belt start, then schedule", () => {
+  const rows = [
+    { flight: "NONE" },
+    { flight: "SCHED", scheduled_local: "14:20" },
+    { flight: "START", start: at(10) },
+    { flight: "ETA", eta: at(30) },
+    { flight: "LOCAL", eta_local: "14:05" },
+  ];
+  assert.deepEqual(
+    sortRows(rows, NOW).map((r) => r.flight),
+    ["LOCAL", "START", "SCHED", "ETA", "NONE"]
+  );
+});
+
+test("delay bands", () => {
+  assert.equal(delayBand(null), null);
+  assert.equal(delayBand(-5), "early");
+  assert.equal(delayBand(-4), "on_time");
+  assert.equal(delayBand(4), "on_time");
+  assert.equal(delayBand(5), "slight");
+  assert.equal(delayBand(15), "slight");
+  assert.equal(delayBand(16), "late");
+
+  assert.equal(delayOf({ delay_min: 7 }), 7);
+  assert.equal(delayOf({ scheduled_local: "14:00", eta: at(20) }, NOW), 20);
+  assert.equal(delayOf({ scheduled_local: "14:00" }, NOW), null);
+});
+
+test("status: released, landed, FINALS, then the delay band", () => {
+  const opts = { nowMs: NOW };
+  const due = (mins, extra) => ({
+    status: "Estimated",
+    scheduled_local: "14:00",
+    eta: at(mins),
+    ...extra,
+  });
+
+  assert.deepEqual(statusOf(due(5, { lifecycle: "diverted" }), opts), {
+    kind: "released",
+    text: "Estimated",
+  });
+  const landed = due(-5, { status: "Landed 13:55" });
+  assert.equal(statusOf(landed, opts).kind, "landed");
+  assert.deepEqual(statusOf(due(10), opts), {
+    kind: "finals",
+    text: "FINALS 14:10",
+  });
+  assert.equal(isFinals(due(11), NOW), false);
+  assert.equal(isFinals(due(-1), NOW), false);
+  assert.equal(statusOf(due(30), opts).kind, "late");
+  assert.equal(statusOf(due(-20), opts).kind, "early");
+  assert.deepEqual(statusOf({ eta_local: "15:20" }, opts), {
+    kind: "pending",
+    text: "Estimated 15:20",
+  });
+  assert.deepEqual(statusOf({}, opts), { kind: "pending", text: "—" });
+});
+
+test("reclaim phase follows the belt window", () => {
+  const r = { start: at(0), end: at(30) };
+  const phase = (mins) => reclaimPhase(r, Date.parse(at(mins)));
+  assert.equal(phase(-1), "due");
+  assert.equal(phase(0), "arriving");
+  assert.equal(phase(19), "arriving");
+  assert.equal(phase(20), "last_bags");
+  assert.equal(phase(30), "done");
+
+  assert.equal(reclaimPhase({ ...r, lifecycle: "cancelled" }, NOW), null);
+  assert.equal(reclaimPhase({ start: at(0) }, NOW), null);
+});
+
+test("html is escaped", () => {
+  assert.equal(
+    escapeHtml(`<b class="x">Tom & Jerry's</b>`),
+    "&lt;b class=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;"
+  );
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(0), "0");
+});
+
+test("imported overrides: the feeder's checks, entry by entry", () => {
+  const pin = {
+    type: "pin",
+    flight: "fr 506",
+    belt: 6,
+    by: "pjones",
+    start: at(30),
+    expires: at(240),
+  };
+  const block = { type: "block", belt: 2, by: "ops", from: at(0), to: at(60) };
+  const list = [
+    pin,
+    block,
+    { type: "forbid", flight: "EI2", belt: 4, by: "", expires: at(60) },
+    { type: "block", belt: 3, by: "ops", from: at(60), to: at(0) },
+    { type: "forbid", belt: 1, by: "ops", start: at(10), expires: "soon" },
+    { type: "swap", flight: "FR1", belt: 1, by: "ops", expires: at(60) },
+    null,
+    // valid but over: counted, not kept
+    { ...pin, expires: at(-10) },
+    { ...block, to: at(-5), from: at(-60) },
+  ];
+
+  const { ok, problems, expired } = checkOverrides(list, BELTS, NOW);
+  assert.deepEqual(ok, [pin, block]);
+  assert.equal(expired, 2);
+  assert.deepEqual(problems, [
+    "overrides[2].belt references unknown belt 4",
+    "overrides[2].by must say who made the override",
+    "overrides[3]: from must be before to",
+    "overrides[4].flight is missing",
+    "overrides[4].start is only allowed on a pin",
+    "overrides[4].expires is not a valid time: soon",
+    "overrides[5].type must be one of pin, forbid, block",
+    "overrides[6] must be an object",
+  ]);
+});
+
+test("a block may outlive its window, a pin must say when it ends", () => {
+  const block = {
+    type: "block",
+    belt: 5,
+    by: "ops",
+    from: at(-60),
+    to: at(-30),
+    expires: at(60),
+  };
+  assert.deepEqual(checkOverrides([block], BELTS, NOW).ok, [block]);
+
+  const pin = { type: "pin", flight: "FR1", belt: 1, by: "ops" };
+  assert.deepEqual(checkOverrides([pin], BELTS, NOW).problems, [
+    "overrides[0].expires is not a valid time: undefined",
+  ]);
+});
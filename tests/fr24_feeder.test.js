@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { allocateAssignments } from "../feeder/fr24_feeder.js";
+import { createLogger } from "../feeder/log.js";
+import { at, row } from "./helpers.js";
+
+// a scratch directory removed when the test ends
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brs-feeder-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("an old snapshot locks flights against its own time", (t) => {
+  const dir = tmpDir(t);
+  const inPath = path.join(dir, "arrivals.json");
+  const outPath = path.join(dir, "assignments.json");
+  const rows = [row("FR1", "MAD", 20), row("FR2", "MAD", 120)];
+  fs.writeFileSync(inPath, JSON.stringify({ generated_at_utc: at(0), rows }));
+  // last run: both on belt 2
+  fs.writeFileSync(
+    outPath,
+    JSON.stringify({ rows: rows.map((r) => ({ ...r, belt: 2 })) })
+  );
+
+  t.mock.method(console, "log", () => {});
+  allocateAssignments({
+    inPath,
+    outPath,
+    historyDir: dir,
+    log: createLogger({ scope: "test" }),
+  });
+  t.mock.restoreAll();
+
+  const doc = JSON.parse(fs.readFileSync(outPath, "utf8"));
+  // 20 min from the snapshot is within lock_minutes; 2 h is not,
+  // however long ago the snapshot was taken
+  assert.deepEqual(
+    doc.rows.map((r) => [r.flight, r.prev_belt, r.locked]),
+    [
+      ["FR1", 2, true],
+      ["FR2", 2, false],
+    ]
+  );
+});
+
+test("rows that aren't flights are dropped, not published", (t) => {
+  const dir = tmpDir(t);
+  const inPath = path.join(dir, "arrivals.json");
+  const outPath = path.join(dir, "assignments.json");
+  const rows = [
+    row("FR1", "MAD", 20),
+    row("MY FLIGHTRADAR24", "", null),
+    row('divId: "pb-slot-fr24-pan",', "", null),
+  ];
+  fs.writeFileSync(inPath, JSON.stringify({ generated_at_utc: at(0), rows }));
+
+  const warned = [];
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", (s) => warned.push(s));
+  allocateAssignments({
+    inPath,
+    outPath,
+    historyDir: dir,
+    log: createLogger({ scope: "test" }),
+  });
+  t.mock.restoreAll();
+
+  const doc = JSON.parse(fs.readFileSync(outPath, "utf8"));
+  assert.deepEqual(doc.rows.map((r) => r.flight), ["FR1"]);
+  assert.deepEqual(warned, [
+    "[test] dropped rows without a flight number dropped=2 " +
+      'first="MY FLIGHTRADAR24"',
+  ]);
+});
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseRawArrivals, parseRawBlock } from "../feeder/fr24_parse.js";
+
+const sample = JSON.parse(
+  fs.readFileSync(
+    new URL("../docs/raw-arrivals-sample.json", import.meta.url),
+    "utf8"
+  )
+);
+
+const U22848 = {
+  flight: "U22848",
+  origin: "Milan",
+  origin_iata: "MXP",
+  status: "Estimated 21:35",
+  status_verb: "Estimated",
+  status_time: "21:35",
+  scheduled_local: "21:30",
+  eta_local: "21:35",
+  airline: "easyJet",
+  aircraft: "A320",
+  registration: "G-EZUC",
+};
+
+test("multi-line block", () => {
+  const res = parseRawBlock(
+    "Estimated 21:35\n 21:30\n U22848\n Milan(MXP)\n A320\nG-EZUC\neasyJet"
+  );
+  assert.equal(res.shape, "multi");
+  assert.deepEqual(res.row, U22848);
+});
+
+test("single-line block", () => {
+  const res = parseRawBlock(
+    "21:30 U22848Milan (MXP)-easyJet -A320 (G-EZUC) Estimated 21:35"
+  );
+  assert.equal(res.shape, "single");
+  assert.deepEqual(res.row, U22848);
+});
+
+test("both shapes agree on a scheduled-only flight", () => {
+  const multi = parseRawBlock(
+    "Scheduled\n 21:40\n FR513\n Dublin(DUB)\n B38M\nEI-IJP\nRyanair"
+  );
+  const single = parseRawBlock(
+    "21:40 FR513Dublin (DUB)-Ryanair -B38M (EI-IJP) Scheduled "
+  );
+  assert.deepEqual(multi.row, single.row);
+  assert.equal(multi.row.status, "Scheduled");
+  // no status time: the ETA is the schedule
+  assert.equal(multi.row.eta_local, "21:40");
+});
+
+test("landed and cancelled times", () => {
+  const landed = parseRawBlock(
+    "21:35 X36533Zakynthos (ZTH)-TUI -B738 (G-TAWH) Landed 21:23"
+  );
+  assert.equal(landed.row.eta_local, "21:23");
+  const cancelled = parseRawBlock(
+    "Cancelled 21:55\n 21:50\n U2216\n Edinburgh(EDI)\n A320\nG-EZUI\neasyJet"
+  );
+  assert.equal(cancelled.row.status_verb, "Canceled");
+  assert.equal(cancelled.row.eta_local, "21:50");
+});
+
+test("day heading", () => {
+  assert.deepEqual(parseRawBlock("Saturday, Nov 01"), {
+    day: "Saturday, Nov 01",
+  });
+});
+
+test("each drop reason", () => {
+  const cases = {
+    empty: "   \n  ",
+    loading_placeholder: " Loading...",
+    no_flights_message:
+      "Sorry, we don't have any information about flights for this airport",
+    no_status: "21:30 U22848Milan (MXP)-easyJet -A320 (G-EZUC)",
+    no_scheduled_time: "Estimated 21:35\n U22848\n Milan(MXP)\n A320",
+    no_flight_number:
+      "Scheduled\n 22:23\n Edinburgh(EDI)\n A20N\nG-UZHU\neasyJet",
+    no_origin_iata: "Estimated 21:35\n 21:30\n U22848\n Milan\n A320",
+    unrecognised_block: "Weather: 12°C light rain",
+  };
+  for (const [reason, text] of Object.entries(cases)) {
+    assert.equal(parseRawBlock(text).reason, reason, reason);
+  }
+});
+
+test("single-line drops", () => {
+  assert.equal(
+    parseRawBlock("Estimated 21:35 U22848Milan (MXP)-easyJet").reason,
+    "no_scheduled_time"
+  );
+  assert.equal(
+    parseRawBlock("21:30 U22848Milan-easyJet -A320 Estimated 21:35").reason,
+    "no_origin_iata"
+  );
+  const noFlight = parseRawBlock(
+    "22:23 Edinburgh (EDI)-easyJet -A20N (G-UZHU) Scheduled"
+  );
+  assert.equal(noFlight.reason, "no_flight_number");
+  assert.equal(noFlight.partial.originIata, "EDI");
+});
+
+test("sample capture: rows, drops and skipped furniture", () => {
+  const { rows, dropped, skipped } = parseRawArrivals(sample);
+  assert.equal(rows.length, 95);
+  assert.equal(skipped, 316);
+
+  const reasons = {};
+  for (const d of dropped) reasons[d.reason] = (reasons[d.reason] || 0) + 1;
+  assert.deepEqual(reasons, {
+    loading_placeholder: 1,
+    no_flights_message: 1,
+    no_flight_number: 5,
+  });
+
+  // both shapes of every flight were captured; each leg is kept once
+  const keys = rows.map(
+    (r) => `${r.flight}|${r.origin_iata}|${r.day}|${r.scheduled_local}`
+  );
+  assert.equal(new Set(keys).size, rows.length);
+  assert.deepEqual(rows[0], { ...U22848, day: "Friday, Oct 31" });
+});
+
+test("sample capture: day rolls over after midnight", () => {
+  const { rows } = parseRawArrivals(sample);
+  const days = [...new Set(rows.map((r) => r.day))];
+  assert.deepEqual(days, ["Friday, Oct 31", "Saturday, Nov 01"]);
+
+  const first = rows.findIndex((r) => r.day === "Saturday, Nov 01");
+  assert.equal(rows[first].flight, "U22916");
+  assert.equal(rows[first].scheduled_local, "00:20");
+  assert.ok(rows.slice(0, first).every((r) => r.day === "Friday, Oct 31"));
+});
+
+test("a time jumping back starts the next day", () => {
+  const { rows } = parseRawArrivals([
+    { kind: "table", text: "Saturday, Nov 01" },
+    { kind: "table", text: "Estimated 23:50\n 23:45\n FR1\n Dublin(DUB)" },
+    { kind: "table", text: "Estimated 00:10\n 00:05\n FR2\n Dublin(DUB)" },
+    { kind: "table", text: "Sunday, Nov 02" },
+    { kind: "card", text: "Weather" },
+  ]);
+  assert.deepEqual(
+    rows.map((r) => [r.flight, r.day]),
+    [
+      ["FR1", "Saturday, Nov 01"],
+      ["FR2", "Sunday, Nov 02"],
+    ]
+  );
+});
@@ -0,0 +1,37 @@
+/**
+ * tests/helpers.js
+ *
+ * The repo's own rules.json and data/pax_config.json, so tests exercise
+ * the real BRS setup; `rules(patch)` shallow-merges changes over the raw
+ * rules.json before compiling it.
+ */
+
+import fs from "fs";
+import { compileRules } from "../feeder/rules.js";
+
+const readJson = (rel) =>
+  JSON.parse(fs.readFileSync(new URL(rel, import.meta.url), "utf8"));
+
+export const RAW_RULES = readJson("../rules.json");
+
+export function rules(patch = {}) {
+  return compileRules({ ...structuredClone(RAW_RULES), ...patch });
+}
+
+export const paxConfig = () => readJson("../data/pax_config.json");
+
+// an ISO time `mins` after 2025-11-02 14:00 London (GMT that day)
+export const at = (mins) =>
+  new Date(Date.UTC(2025, 10, 2, 14, 0) + mins * 60000).toISOString();
+
+// a live FR24 row: `eta` in minutes after 14:00
+export function row(flight, origin, eta, extra = {}) {
+  return {
+    flight,
+    origin_iata: origin,
+    eta: eta === null ? null : at(eta),
+    status: "Estimated",
+    scheduled_local: "",
+    ...extra,
+  };
+}
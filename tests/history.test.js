@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  appendHistory,
+  historyEntry,
+  planAt,
+  pruneHistory,
+} from "../feeder/history.js";
+
+// a scratch directory removed when the test ends
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brs-history-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const plan = (rows) => ({
+  generated_at_utc: "2025-07-01T12:00:00.000Z",
+  mode: "greedy",
+  cost: 12,
+  rows,
+});
+
+const fr506 = (belt) => ({
+  flight: "FR506",
+  codeshares: [],
+  origin_iata: "DUB",
+  belt,
+  reason: "cta→6",
+  _bags: 150,
+});
+const kl1055 = {
+  flight: "KL1055",
+  codeshares: ["DL9463"],
+  origin_iata: "AMS",
+  belt: 1,
+  reason: "intl_spread",
+};
+
+test("an entry keeps the published row fields only", () => {
+  const entry = historyEntry(plan([fr506(6)]), Date.parse("2025-07-01T12:01Z"));
+  assert.equal(entry.run_at_utc, "2025-07-01T12:01:00.000Z");
+  assert.equal(entry.run_at_local, "2025-07-01T13:01:00");
+  assert.equal(entry.cost, 12);
+  assert.deepEqual(entry.outages, []);
+  assert.equal(entry.rows[0].belt, 6);
+  assert.equal(entry.rows[0].start, null);
+  assert.equal("_bags" in entry.rows[0], false);
+});
+
+test("day files rotate at London midnight", (t) => {
+  const dir = tmpDir(t);
+  // 23:30 UTC is already tomorrow in BST
+  const file = appendHistory(plan([fr506(6)]), {
+    dir,
+    now: Date.parse("2025-07-01T23:30Z"),
+  });
+  assert.equal(path.basename(file), "2025-07-02.ndjson");
+  const now = Date.parse("2025-07-01T23:40Z");
+  appendHistory(plan([fr506(5)]), { dir, now });
+  assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 2);
+});
+
+test("the plan as it stood at a time", (t) => {
+  const dir = tmpDir(t);
+  const run = (iso, rows) =>
+    appendHistory(plan(rows), { dir, now: Date.parse(iso) });
+  run("2025-07-01T21:00Z", [fr506(6), kl1055]);
+  run("2025-07-01T23:10Z", [fr506(3), kl1055]);
+  run("2025-07-01T23:20Z", [fr506(5), kl1055]);
+
+  assert.equal(planAt("2025-07-01T20:59Z", { dir }), null);
+  assert.equal(planAt("2025-07-01T23:15Z", { dir }).rows[0].belt, 3);
+  assert.equal(planAt("2025-07-01T23:20Z", { dir }).rows[0].belt, 5);
+  // before the first run of 2 July (London): 1 July's last run
+  const early = planAt("2025-07-01T23:05Z", { dir });
+  assert.equal(early.run_at_local, "2025-07-01T22:00:00");
+  assert.equal(early.rows[0].belt, 6);
+
+  const at = Date.parse("2025-07-01T23:30Z");
+  const byCodeshare = planAt(at, { dir, flight: "dl 9463" });
+  assert.deepEqual(byCodeshare.rows.map((r) => r.flight), ["KL1055"]);
+  assert.deepEqual(
+    planAt(at, { dir, belt: "5" }).rows.map((r) => r.flight),
+    ["FR506"]
+  );
+
+  assert.throws(() => planAt("soon", { dir }), /\[history\] not a time/);
+});
+
+test("a corrupt line names its file and line", (t) => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, "2025-07-01.ndjson"), "{}\n{oops\n");
+  assert.throws(
+    () => planAt("2025-07-01T12:00Z", { dir }),
+    /^Error: \[history\] 2025-07-01\.ndjson:2: /
+  );
+});
+
+test("days beyond retention are pruned", (t) => {
+  const dir = tmpDir(t);
+  const names = [
+    "2025-06-28.ndjson",
+    "2025-06-29.ndjson",
+    "2025-06-30.ndjson",
+    "2025-07-01.ndjson",
+    "notes.txt",
+  ];
+  for (const n of names) fs.writeFileSync(path.join(dir, n), "");
+
+  // today (1 July) counts as day 1 of 3
+  const removed = pruneHistory({
+    dir,
+    retentionDays: 3,
+    now: Date.parse("2025-07-01T12:00Z"),
+  });
+  assert.deepEqual(removed.sort(), ["2025-06-28.ndjson"]);
+  assert.deepEqual(fs.readdirSync(dir).sort(), names.slice(1));
+
+  // appending prunes too
+  appendHistory(plan([]), {
+    dir,
+    retentionDays: 1,
+    now: Date.parse("2025-07-01T12:00Z"),
+  });
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "2025-07-01.ndjson",
+    "notes.txt",
+  ]);
+  assert.deepEqual(pruneHistory({ dir: path.join(dir, "none") }), []);
+});
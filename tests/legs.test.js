@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { legKey, mergeLegs } from "../feeder/legs.js";
+
+// 2025-10-28 21:00 London (GMT)
+const REF = Date.parse("2025-10-28T21:00:00Z");
+
+test("leg keys: flight, origin and scheduled London date", () => {
+  const r = { flight: "fr 506", origin_iata: "dub", scheduled_local: "23:40" };
+  assert.equal(legKey(r, REF), "FR506|DUB|2025-10-28");
+  // the schedule nearest the eta, so a late arrival keeps its date
+  const late = { ...r, eta: "2025-10-29T00:20:00Z" };
+  assert.equal(legKey(late, REF), "FR506|DUB|2025-10-28");
+  // after midnight, nearest the snapshot
+  const small = { ...r, scheduled_local: "00:15" };
+  assert.equal(legKey(small, REF), "FR506|DUB|2025-10-29");
+
+  // no schedule: the eta's date, then none
+  const etaOnly = { flight: "FR506", eta: "2025-10-28T22:00:00Z" };
+  assert.equal(legKey(etaOnly, REF), "FR506||2025-10-28");
+  assert.equal(legKey({ flight: "FR506" }, REF), "FR506||");
+});
+
+test("duplicates collapse to the freshest row, blanks filled", () => {
+  const rows = [
+    {
+      flight: "FR506",
+      origin_iata: "DUB",
+      scheduled_local: "21:30",
+      status: "Scheduled",
+      eta: "2025-10-28T21:30:00Z",
+      aircraft: "B38M",
+      registration: "",
+    },
+    { flight: "U22848", origin_iata: "MXP", scheduled_local: "21:30" },
+    {
+      flight: "FR 506",
+      origin_iata: "DUB",
+      scheduled_local: "21:30",
+      status: "Estimated 21:32",
+      eta: "2025-10-28T21:32:00Z",
+      aircraft: "",
+      registration: "EI-IJP",
+    },
+  ];
+  const { rows: out, duplicates, codeshares } = mergeLegs(rows, REF);
+  assert.equal(duplicates, 1);
+  assert.equal(codeshares, 0);
+  // input order: first sighting of each leg
+  assert.deepEqual(out.map((r) => r.flight), ["FR 506", "U22848"]);
+  assert.equal(out[0].status, "Estimated 21:32");
+  assert.equal(out[0].eta, "2025-10-28T21:32:00Z");
+  assert.equal(out[0].aircraft, "B38M");
+  assert.equal(out[0].registration, "EI-IJP");
+  assert.deepEqual(out[0].codeshares, []);
+});
+
+test("a tie goes to the later row; landed beats estimated", () => {
+  const leg = { flight: "FR506", origin_iata: "DUB", scheduled_local: "21:30" };
+  const tie = mergeLegs(
+    [
+      { ...leg, status: "Estimated 21:32", eta: "2025-10-28T21:32:00Z" },
+      { ...leg, status: "Estimated 21:35", eta: "2025-10-28T21:35:00Z" },
+    ],
+    REF
+  );
+  assert.equal(tie.rows[0].eta, "2025-10-28T21:35:00Z");
+
+  const landed = mergeLegs(
+    [
+      { ...leg, status: "Landed 21:29", eta: "2025-10-28T21:29:00Z" },
+      { ...leg, status: "Estimated 21:35", eta: "2025-10-28T21:35:00Z" },
+    ],
+    REF
+  );
+  assert.equal(landed.rows[0].status, "Landed 21:29");
+});
+
+test("codeshares on one aircraft fold into the first number", () => {
+  const shared = {
+    origin_iata: "AMS",
+    scheduled_local: "21:10",
+    registration: "ph-exa",
+    status: "Estimated 21:05",
+    eta: "2025-10-28T21:05:00Z",
+  };
+  const { rows, duplicates, codeshares } = mergeLegs(
+    [
+      { ...shared, flight: "KL1055", aircraft: "E75L" },
+      { ...shared, flight: "DL 9463", aircraft: "" },
+      { ...shared, flight: "AF8231" },
+      // same aircraft, different origin: a different leg
+      { ...shared, flight: "KL1057", origin_iata: "CDG" },
+    ],
+    REF
+  );
+  assert.equal(duplicates, 0);
+  assert.equal(codeshares, 2);
+  assert.deepEqual(
+    rows.map((r) => [r.flight, r.codeshares]),
+    [
+      ["KL1055", ["DL9463", "AF8231"]],
+      ["KL1057", []],
+    ]
+  );
+  assert.equal(rows[0].aircraft, "E75L");
+});
+
+test("rows without a registration are never codeshares", () => {
+  const r = { origin_iata: "AMS", scheduled_local: "21:10", registration: "" };
+  const { rows, codeshares } = mergeLegs(
+    [{ ...r, flight: "KL1055" }, { ...r, flight: "DL9463" }],
+    REF
+  );
+  assert.equal(codeshares, 0);
+  assert.equal(rows.length, 2);
+});
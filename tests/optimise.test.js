@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assignBelts, flightKey, planCost } from "../feeder/allocate.js";
+import { optimiseBelts } from "../feeder/optimise.js";
+import { at, paxConfig, row, rules } from "./helpers.js";
+
+const small = { pax_estimate: 100 };
+const big = { pax_estimate: 230 };
+
+// a bank where greedy gives belt 5 to a small flight just before two
+// heavy ones arrive
+const bank = () => [
+  row("LS1", "PMI", 0, small),
+  row("FR2", "MAD", 2, small),
+  row("FR3", "MAD", 4, small),
+  row("EI7", "DUB", 5),
+  row("BE8", "EDI", 5),
+  row("FR4", "MAD", 6, small),
+  row("LS5", "FAO", 8, big),
+  row("FR6", "MAD", 12, big),
+];
+
+const plan = (rows) =>
+  Object.fromEntries(rows.map((f) => [f.flight, f.belt]));
+
+test("the optimised plan costs no more than greedy", () => {
+  const r = rules();
+  const cfg = paxConfig();
+  const now = Date.parse(at(-120));
+  const greedy = assignBelts(bank(), r, cfg, { now });
+  const optimised = optimiseBelts(bank(), r, cfg, { now });
+
+  const before = planCost(greedy, r, cfg);
+  const after = planCost(optimised, r, cfg);
+  assert.ok(after.total < before.total, `${after.total} < ${before.total}`);
+
+  const belts = plan(optimised);
+  assert.equal(belts.LS5, 5);
+  assert.equal(belts.EI7, 6);
+  assert.equal(belts.BE8, 7);
+  const ls5 = optimised.find((f) => f.flight === "LS5");
+  assert.match(ls5.reason, /^heavy→5 /);
+
+  // no randomness: same input, same plan
+  assert.deepEqual(plan(optimiseBelts(bank(), r, cfg, { now })), belts);
+});
+
+test("flights locked to last run's belt are not moved", () => {
+  const r = rules();
+  const cfg = paxConfig();
+  const rows = bank();
+  const fr4 = rows.find((f) => f.flight === "FR4");
+  const previous = new Map([[flightKey(fr4), { belt: 5 }]]);
+
+  // within lock_minutes of FR4's ETA
+  const now = Date.parse(at(-10));
+  const optimised = optimiseBelts(rows, r, cfg, { now, previous });
+  assert.equal(plan(optimised).FR4, 5);
+  assert.ok(optimised.every((f) => !f.forced_move));
+
+  // unlocked, FR4 gives belt 5 up for the heavy flights
+  const early = optimiseBelts(rows, r, cfg, {
+    now: Date.parse(at(-120)),
+    previous,
+  });
+  assert.equal(plan(early).LS5, 5);
+});
@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { assignBelts, flightKey } from "../feeder/allocate.js";
+import {
+  applyOverrides,
+  compileOverrides,
+  loadOverrides,
+  withBlocks,
+} from "../feeder/overrides.js";
+import { at, paxConfig, row, rules } from "./helpers.js";
+
+const NOW = Date.parse(at(0));
+const LATER = at(600);
+
+const compile = (list) => compileOverrides({ overrides: list }, rules(), NOW);
+
+const byFlight = (rows) => new Map(rows.map((f) => [f.flight, f]));
+
+test("pins, forbids and blocks; expired entries skipped", () => {
+  const out = compile([
+    { type: "pin", flight: " ls 1812", belt: 5, by: "jsmith", expires: LATER },
+    {
+      type: "forbid",
+      flight: "FR4758",
+      origin_iata: "mad",
+      belt: 2,
+      by: "jsmith",
+      expires: LATER,
+    },
+    {
+      type: "block",
+      belt: 3,
+      from: at(0),
+      to: at(120),
+      by: "jsmith",
+      note: "VIP arrival",
+    },
+    { type: "pin", flight: "U22848", belt: 1, by: "jsmith", expires: at(-1) },
+    { type: "block", belt: 1, from: at(-120), to: at(-60), by: "jsmith" },
+  ]);
+
+  assert.deepEqual(out.pins, [
+    { flight: "LS1812", origin_iata: "", belt: 5, by: "jsmith" },
+  ]);
+  assert.deepEqual(out.forbids, [
+    { flight: "FR4758", origin_iata: "MAD", belt: 2, by: "jsmith" },
+  ]);
+  assert.deepEqual(out.blocks, [
+    {
+      belt: 3,
+      from: at(0),
+      to: at(120),
+      reason: "override:jsmith – VIP arrival",
+      by: "jsmith",
+    },
+  ]);
+  assert.equal(out.expired, 2);
+});
+
+test("every problem in one error", () => {
+  assert.throws(
+    () =>
+      compile([
+        { type: "pin", flight: "FR1", belt: 9, by: "jsmith", expires: LATER },
+        { type: "forbid", flight: "FR2", belt: 1, expires: LATER },
+        { type: "pin", belt: 1, by: "jsmith", expires: "soon" },
+        {
+          type: "forbid",
+          flight: "FR3",
+          belt: 1,
+          by: "jsmith",
+          expires: LATER,
+          start: at(30),
+        },
+        { type: "block", belt: 1, from: at(60), to: at(0), by: "jsmith" },
+        { type: "move", flight: "FR4", belt: 1, by: "jsmith", expires: LATER },
+        "pin FR5",
+      ]),
+    (err) => {
+      const lines = err.message.split("\n");
+      assert.match(lines[0], /^\[overrides\] overrides\.json is inconsistent/);
+      assert.deepEqual(lines.slice(1), [
+        "  - overrides[0].belt references unknown belt 9",
+        "  - overrides[1].by must say who made the override",
+        "  - overrides[2].flight is missing",
+        "  - overrides[2].expires is not a valid time: soon",
+        "  - overrides[3].start is only allowed on a pin",
+        "  - overrides[4]: from must be before to",
+        "  - overrides[5].type must be one of pin, forbid, block",
+        "  - overrides[6] must be an object",
+      ]);
+      return true;
+    }
+  );
+  assert.throws(
+    () => compileOverrides({ pins: [] }, rules(), NOW),
+    /expected \{ "overrides": \[\.\.\.\] \}/
+  );
+});
+
+test("no overrides file means no overrides", () => {
+  const missing = path.join(os.tmpdir(), "brs-no-such-overrides.json");
+  assert.deepEqual(loadOverrides(rules(), NOW, missing), {
+    pins: [],
+    forbids: [],
+    blocks: [],
+    expired: 0,
+  });
+});
+
+test("the allocator honours pins, forbids and blocks", () => {
+  const overrides = compile([
+    { type: "pin", flight: "FR1", belt: 7, by: "jsmith", expires: LATER },
+    { type: "forbid", flight: "FR2", belt: 1, by: "amoss", expires: LATER },
+    { type: "block", belt: 2, from: at(-60), to: at(120), by: "pjones" },
+  ]);
+  const plan = byFlight(
+    assignBelts(
+      [row("FR1", "MAD", 0), row("FR2", "MAD", 30), row("FR3", "MAD", 60)],
+      withBlocks(rules(), overrides),
+      paxConfig(),
+      { overrides, now: NOW }
+    )
+  );
+  // an INTERNATIONAL flight on the domestic belt: the pin wins
+  assert.equal(plan.get("FR1").belt, 7);
+  assert.equal(plan.get("FR1").reason, "override:jsmith");
+  // FR2 can't use 1 and 2 is blocked
+  assert.equal(plan.get("FR2").belt, 3);
+  assert.equal(plan.get("FR2").reason, "override:amoss");
+  assert.equal(plan.get("FR3").belt, 1);
+});
+
+test("a locked flight blocked off its belt is moved, not forced", () => {
+  const fr1 = row("FR1", "MAD", 10);
+  // last run put FR1 on belt 1; 10 min out it is locked there
+  const options = { previous: new Map([[flightKey(fr1), { belt: 1 }]]) };
+  const block = { belt: 1, from: at(-60), to: at(120) };
+
+  const overrides = compile([{ type: "block", ...block, by: "pjones" }]);
+  const [moved] = assignBelts(
+    [fr1],
+    withBlocks(rules(), overrides),
+    paxConfig(),
+    { ...options, overrides, now: NOW }
+  );
+  assert.equal(moved.belt, 2);
+  assert.equal(moved.forced_move, false);
+  assert.equal(moved.reason, "override:pjones");
+
+  // a rules.json outage is nobody's decision: that one is forced
+  const outages = [{ ...block, reason: "Engineering" }];
+  const [forced] = assignBelts([fr1], rules({ outages }), paxConfig(), {
+    ...options,
+    now: NOW,
+  });
+  assert.equal(forced.belt, 2);
+  assert.equal(forced.forced_move, true);
+  assert.equal(forced.reason, "forced_move:1→2 (outage:belt1)");
+});
+
+test("a forbid can pick one leg by origin", () => {
+  const overrides = compile([
+    {
+      type: "forbid",
+      flight: "FR1",
+      origin_iata: "MAD",
+      belt: 1,
+      by: "jsmith",
+      expires: LATER,
+    },
+  ]);
+  const rows = [row("FR1", "MAD", 0), row("FR1", "BCN", 300)];
+  applyOverrides(rows, overrides);
+  assert.deepEqual([...rows[0]._forbid], [[1, "jsmith"]]);
+  assert.equal(rows[1]._forbid, undefined);
+});
+
+test("a pin with start moves the belt window, same length", () => {
+  const overrides = compile([
+    {
+      type: "pin",
+      flight: "FR1",
+      belt: 3,
+      by: "jsmith",
+      expires: LATER,
+      start: at(90),
+    },
+  ]);
+  assert.equal(overrides.pins[0].start, at(90));
+
+  const [f] = assignBelts([row("FR1", "MAD", 0)], rules(), paxConfig(), {
+    overrides,
+    now: NOW,
+  });
+  assert.equal(f.belt, 3);
+  assert.equal(f.start, at(90));
+  // start_buffer 15, dwell 30: the window was 15..45
+  assert.equal(f.end, at(120));
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bagsFor,
+  beltSizes,
+  estimatePax,
+  parseAircraftType,
+} from "../feeder/pax.js";
+import { paxConfig } from "./helpers.js";
+
+const cfg = paxConfig();
+
+test("aircraft types, aliases and registrations", () => {
+  assert.equal(parseAircraftType("(B38M)", cfg), "B38M");
+  assert.equal(parseAircraftType("(73H)", cfg), "B738");
+  assert.equal(parseAircraftType("AT76", cfg), "AT72");
+  assert.equal(parseAircraftType("(G-EZUC)", cfg), null);
+  assert.equal(parseAircraftType("N123AB", cfg), null);
+  assert.equal(parseAircraftType("ZZZZ", cfg), null);
+  assert.equal(parseAircraftType("", cfg), null);
+});
+
+test("seats × load factor × airline bias", () => {
+  assert.deepEqual(
+    estimatePax({ flight: "LS1812", aircraft: "(73H)", airline: "Jet2" }, cfg),
+    {
+      pax_estimate: 192,
+      pax_basis: "B738 189 seats × LF 0.966 (LS) × bias 1.05 (Jet2) = 192",
+    }
+  );
+  // a bias of 1 is left out of the basis
+  assert.deepEqual(
+    estimatePax({ flight: "BY123", aircraft: "B738", airline: "TUI" }, cfg),
+    { pax_estimate: 174, pax_basis: "B738 189 seats × LF 0.92 (BY) = 174" }
+  );
+});
+
+test("a registration falls back to the airline's default type", () => {
+  const res = estimatePax(
+    { flight: "U22848", aircraft: "G-EZUC", airline: "easyJet (NEO Livery)" },
+    cfg
+  );
+  assert.equal(res.pax_estimate, 156);
+  assert.match(res.pax_basis, /^A320 \(easyJet default\) 180 seats/);
+
+  // no load factor for KL: the default one
+  const klm = { flight: "KL1055", aircraft: "(PH-EXA)", airline: "KLM" };
+  assert.deepEqual(estimatePax(klm, cfg), {
+    pax_estimate: 81,
+    pax_basis: "E75L (KLM default) 88 seats × LF 0.92 (default) = 81",
+  });
+});
+
+test("unknown aircraft: upstream estimate, or none", () => {
+  const row = { flight: "XX123", aircraft: "ZZZZ", airline: "Nobody" };
+  assert.deepEqual(estimatePax(row, cfg), {
+    pax_estimate: null,
+    pax_basis: "unknown aircraft ZZZZ",
+  });
+  assert.equal(
+    estimatePax({ ...row, aircraft: "" }, cfg).pax_basis,
+    "unknown aircraft no aircraft"
+  );
+  assert.deepEqual(estimatePax({ ...row, pax_estimate: 120 }, cfg), {
+    pax_estimate: 120,
+    pax_basis: "upstream",
+  });
+});
+
+test("route adjustments", () => {
+  const routed = {
+    ...cfg,
+    route_adjustments: { plus10pct_iata: ["PMI"], plus05pct_iata: ["FAO"] },
+  };
+  const row = { flight: "BY123", aircraft: "B738", airline: "TUI" };
+  const pmi = estimatePax({ ...row, origin_iata: "pmi" }, routed);
+  assert.equal(pmi.pax_estimate, 191);
+  assert.match(pmi.pax_basis, / × route 1\.1 = 191$/);
+  const fao = estimatePax({ ...row, origin_iata: "FAO" }, routed);
+  assert.equal(fao.pax_estimate, 183);
+});
+
+test("bags from pax and the airline's bag factor", () => {
+  const bagged = { ...cfg, bag_factor_by_airline: { easyJet: 1.2 } };
+  assert.equal(bagsFor({ pax_estimate: 150, airline: "easyJet" }, bagged), 180);
+  assert.equal(bagsFor({ pax_estimate: 150, airline: "Ryanair" }, bagged), 150);
+  assert.equal(bagsFor({ pax_estimate: null }, bagged), null);
+});
+
+test("belt capacity scales with length", () => {
+  const sizes = beltSizes(cfg);
+  assert.deepEqual(
+    [5, 1, 2, 3, 6].map((b) => sizes.get(b).capacity),
+    [268, 180, 180, 180, 147]
+  );
+  assert.equal(sizes.get(6).avoid_for_international, true);
+  assert.equal(sizes.get(1).avoid_for_international, false);
+
+  // no threshold: lengths only
+  const bare = beltSizes({ belts: cfg.belts });
+  assert.equal(bare.get(5).capacity, null);
+  assert.equal(bare.get(5).length, 100);
+});
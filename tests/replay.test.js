@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { baseReason } from "../feeder/allocate.js";
+import { loadArchivedRows, replayArrivals } from "../feeder/replay.js";
+import { at, paxConfig, row, rules } from "./helpers.js";
+
+// a sighting of `flight` captured `age` minutes after an ETA of `eta`
+const sighting = (flight, eta, age, extra = {}) =>
+  row(flight, "MAD", eta, {
+    scheduled_local: "14:00",
+    ui_age_min: age,
+    ...extra,
+  });
+
+test("each step sees the latest sighting captured by then", () => {
+  // captured at 13:00 (ETA 14:00), then at 13:30 (ETA 14:20)
+  const rows = [sighting("FR1", 0, -60), sighting("FR1", 20, -50)];
+  const etas = [];
+  replayArrivals(rows, rules(), paxConfig(), {
+    stepMinutes: 10,
+    onRun: (t, plan) => etas.push([t, plan[0].eta]),
+  });
+  for (const [t, eta] of etas) {
+    const expected = t >= Date.parse(at(-30)) ? at(20) : at(0);
+    assert.equal(eta, expected, new Date(t).toISOString());
+  }
+  assert.ok(etas.some(([, eta]) => eta === at(0)));
+  assert.ok(etas.some(([, eta]) => eta === at(20)));
+});
+
+test("fallback_busy counts forced moves too", () => {
+  const forced = "forced_move:6→1 (fallback_busy)";
+  assert.equal(baseReason(forced), "fallback_busy");
+  assert.equal(baseReason("fallback_busy"), "fallback_busy");
+  const sized = "intl_spread (192 bags / 67 m)";
+  assert.equal(baseReason(sized), sized);
+
+  // six INTERNATIONAL flights at once on five belts: one goes busy
+  const rows = [1, 2, 3, 4, 5, 6].map((n) => sighting(`FR${n}`, 0, -60));
+  const report = replayArrivals(rows, rules(), paxConfig(), {
+    stepMinutes: 10,
+  });
+  assert.equal(report.kpis.fallback_busy, 1);
+});
+
+test("archived log: ETAs move during the replay, and belts with them", () => {
+  const report = replayArrivals(loadArchivedRows(), rules(), paxConfig(), {
+    stepMinutes: 5,
+  });
+  assert.ok(report.kpis.belt_changes > 0);
+  assert.ok(report.kpis.flights_moved > 0);
+});
+
+test("a replay scores the plan that ran, belt by belt", () => {
+  // two CTA flights 10 min apart, both fixed to belt 6
+  const rows = [
+    row("EI1", "DUB", 0),
+    row("EI2", "DUB", 10),
+    row("FR3", "MAD", 0),
+  ];
+  const report = replayArrivals(rows, rules(), paxConfig(), {
+    stepMinutes: 10,
+  });
+  assert.equal(report.flights, 3);
+  assert.ok(report.runs > 0);
+  assert.deepEqual(report.kpis.fixed_clashes, {
+    total: 2,
+    by_flow: { CTA: 2 },
+  });
+  assert.equal(report.kpis.unassigned, 0);
+  // windows 14:15-14:45 and 14:25-14:55 on 6: 40 busy minutes
+  assert.equal(report.belts[6].flights, 2);
+  assert.equal(report.belts[6].busy_minutes, 40);
+  assert.equal(report.belts[1].flights, 1);
+  assert.equal(report.belts[2].flights, 0);
+});
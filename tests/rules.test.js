@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileRules } from "../feeder/rules.js";
+import { RAW_RULES, rules } from "./helpers.js";
+
+// the problem lines of compileRules' one error
+function problemsOf(raw) {
+  try {
+    compileRules(raw);
+  } catch (err) {
+    const [head, ...lines] = err.message.split("\n");
+    assert.equal(head, "[rules] rules.json is inconsistent:");
+    return lines.map((l) => l.replace(/^ {2}- /, ""));
+  }
+  assert.fail("compileRules accepted it");
+}
+
+test("the repo's rules.json compiles", () => {
+  const r = rules();
+  assert.deepEqual(r.beltIds, [1, 2, 3, 5, 6, 7]);
+  assert.deepEqual(r.longBelts, [5]);
+  assert.equal(r.defaultFlow, "INTERNATIONAL");
+  assert.equal(r.originToFlow.get("DUB"), "CTA");
+  assert.equal(r.originToFlow.get("EDI"), "DOMESTIC");
+  assert.deepEqual(r.flows.CTA.targets, [6]);
+  assert.deepEqual(r.flows.INTERNATIONAL.buffers, {
+    start: 15,
+    dwell: 30,
+    cleanup: 1,
+  });
+  assert.equal(r.maxQueuePerBelt, 2);
+  assert.equal(r.densityMinutes, 10);
+});
+
+test("every problem in one error", () => {
+  const raw = structuredClone(RAW_RULES);
+  raw.belts.push({ id: 0 }, { id: 3 }, { id: 8, walk: -1 });
+  raw.flows.CTA.targets = [6, 4, 6];
+  raw.flows.CTA.buffers = { start: -5, dwell: 0, cleanup: 1 };
+  raw.flows.DOMESTIC.iata_origins.push("DUB", "dublin");
+  raw.flows.EXTRA = { buffers: raw.flows.CTA.buffers, targets: [] };
+  raw.outages = [{ belt: 9, from: "soon", to: "2025-11-02T14:00:00Z" }];
+  raw.max_queue_per_belt = 0;
+
+  assert.deepEqual(problemsOf(raw), [
+    "belts[6].id must be a positive integer",
+    "belt 3 is declared twice",
+    "belts[8].walk must be a number >= 0",
+    "flows.CTA.buffers.start must be a number >= 0",
+    "flows.CTA.buffers.dwell must be > 0",
+    "flows.CTA.targets references unknown belt 4",
+    "flows.CTA.targets lists belt 6 twice",
+    "origin DUB is listed in both CTA and DOMESTIC",
+    'flows.DOMESTIC.iata_origins has invalid code "dublin"',
+    "flows.EXTRA.buffers.start must be a number >= 0",
+    "flows.EXTRA.buffers.dwell must be > 0",
+    "flows.EXTRA.targets must be a non-empty array",
+    "flows.EXTRA and flows.INTERNATIONAL both have no iata_origins; " +
+      "only one default flow is allowed",
+    "outages[0].belt references unknown belt 9",
+    "outages[0].from is not a valid time: soon",
+    "max_queue_per_belt must be a positive integer",
+  ]);
+});
+
+test("no belts, no flows, no default flow", () => {
+  assert.deepEqual(problemsOf({ belts: [], flows: {} }), [
+    "belts must be a non-empty array",
+    "no default flow: exactly one flow must omit iata_origins " +
+      "(e.g. INTERNATIONAL)",
+  ]);
+  assert.throws(
+    () => compileRules([]),
+    /^Error: \[rules\] rules\.json: top level must be an object$/
+  );
+});
+
+test("belts don't carry flow preferences; targets order them", () => {
+  const raw = structuredClone(RAW_RULES);
+  raw.belts[4].preferred_flows = ["CTA"];
+  assert.deepEqual(problemsOf(raw), [
+    "belts[4].preferred_flows is not used; order each flow's targets instead",
+  ]);
+});
@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { allocateAssignments } from "../feeder/fr24_feeder.js";
+import { createLogger } from "../feeder/log.js";
+import {
+  checkAssignments,
+  checkAssignmentsFile,
+  sanityProblems,
+  validateAssignments,
+} from "../feeder/schema.js";
+import { rules } from "./helpers.js";
+
+// a scratch directory removed when the test ends
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brs-schema-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// a real docs/assignments.json, as the feeder writes it, for `n` arrivals
+function allocated(t, n) {
+  const dir = tmpDir(t);
+  const soon = (mins) => new Date(Date.now() + mins * 60000).toISOString();
+  const rows = Array.from({ length: n }, (_, i) => ({
+    flight: `FR${100 + i}`,
+    origin_iata: "MAD",
+    eta: soon(30 + 20 * i),
+    status: "Estimated",
+  }));
+  const inPath = path.join(dir, "arrivals.json");
+  const outPath = path.join(dir, "assignments.json");
+  fs.writeFileSync(inPath, JSON.stringify({ generated_at_utc: soon(0), rows }));
+
+  t.mock.method(console, "log", () => {});
+  allocateAssignments({
+    inPath,
+    outPath,
+    historyDir: dir,
+    log: createLogger({ scope: "test" }),
+  });
+  t.mock.restoreAll();
+  return { doc: JSON.parse(fs.readFileSync(outPath, "utf8")), outPath };
+}
+
+test("the feeder's own output is valid", (t) => {
+  const { doc, outPath } = allocated(t, 3);
+  assert.deepEqual(validateAssignments(doc, rules()), []);
+  assert.doesNotThrow(() => checkAssignmentsFile(outPath, rules()));
+});
+
+test("one problem per field, naming the rows", (t) => {
+  const { doc } = allocated(t, 8);
+  doc.schema_version = 2;
+  delete doc.conflicts;
+  doc.rows[0].start = doc.rows[0].end;
+  doc.rows[1].belt = 4;
+  doc.rows[2].belt = "7";
+  for (const r of doc.rows) r.tentative = "no";
+  doc.rows[3] = null;
+
+  assert.deepEqual(validateAssignments(doc, rules()), [
+    "schema_version must be 1 (got 2)",
+    "conflicts must be an array",
+    "rows[3] must be an object",
+    "tentative must be true or false: rows[0] FR100, rows[1] FR101, " +
+      "rows[2] FR102, rows[4] FR104, rows[5] FR105 (+2 more)",
+    "start must be an ISO time or null: rows[0] FR100 (start not before end)",
+    'belt must be a rules.json belt or "": rows[1] FR101, rows[2] FR102',
+  ]);
+
+  assert.deepEqual(validateAssignments([], rules()), [
+    "top level must be an object",
+  ]);
+  const noRows = validateAssignments({ ...doc, rows: {} }, rules());
+  assert.equal(noRows.at(-1), "rows must be an array");
+});
+
+test("scraped page text is not a flight", (t) => {
+  const { doc } = allocated(t, 3);
+  doc.rows[0].flight = "MY FLIGHTRADAR24";
+  doc.rows[1].flight = "Dublin(DUB)";
+  doc.rows[2].codeshares = ["DL 9463", ".check-green{fill:#75bc77}"];
+  assert.deepEqual(validateAssignments(doc, rules()), [
+    "flight must be a flight number: rows[0] MY FLIGHTRADAR24, " +
+      "rows[1] Dublin(DUB)",
+    "codeshares must be an array of flight numbers: rows[2] FR102",
+  ]);
+});
+
+test("publish guards catch a bad scrape", (t) => {
+  const { doc } = allocated(t, 4);
+  const guards = { minRows: 5, maxRowDropPct: 50, maxEtaHours: 24 };
+  assert.deepEqual(sanityProblems(doc, guards), [
+    "only 4 rows (publish_guards.min_rows is 5)",
+  ]);
+
+  const ok = { ...guards, minRows: 1 };
+  assert.deepEqual(sanityProblems(doc, ok, 4), []);
+  // small boards may shrink; big ones may not halve
+  assert.deepEqual(sanityProblems(doc, ok, 9), []);
+  assert.deepEqual(sanityProblems(doc, ok, 10), [
+    "row count fell 60% (10 → 4); publish_guards.max_row_drop_pct is 50",
+  ]);
+
+  doc.rows[1].eta = new Date(Date.now() + 30 * 3600000).toISOString();
+  const [far] = sanityProblems(doc, ok);
+  assert.match(far, /^1 ETAs more than 24 h from the snapshot: FR101 /);
+});
+
+test("the gate throws one error; --force skips only the guards", (t) => {
+  const { doc } = allocated(t, 2);
+  const r = rules();
+  const strict = {
+    ...r,
+    guards: { minRows: 5, maxRowDropPct: 50, maxEtaHours: 24 },
+  };
+  assert.throws(
+    () => checkAssignments(doc, strict, { previousRows: 20 }),
+    (err) => {
+      assert.equal(
+        err.message,
+        "[schema] assignments rejected, last good file kept:\n" +
+          "  - only 2 rows (publish_guards.min_rows is 5)\n" +
+          "  - row count fell 90% (20 → 2); " +
+          "publish_guards.max_row_drop_pct is 50"
+      );
+      return true;
+    }
+  );
+  assert.doesNotThrow(() =>
+    checkAssignments(doc, strict, { previousRows: 20, force: true })
+  );
+
+  doc.rows[0].lifecycle = "boarding";
+  assert.throws(
+    () => checkAssignments(doc, r, { force: true }),
+    /\n {2}- lifecycle must be scheduled\|estimated\|/
+  );
+});
+
+test("an unreadable file is not publishable", (t) => {
+  const file = path.join(tmpDir(t), "assignments.json");
+  fs.writeFileSync(file, "{ half");
+  assert.throws(
+    () => checkAssignmentsFile(file, rules()),
+    /^Error: \[schema\] cannot read .*assignments\.json: /
+  );
+  fs.writeFileSync(file, "[]");
+  assert.throws(
+    () => checkAssignmentsFile(file, rules()),
+    /is not publishable:\n {2}- top level must be an object$/
+  );
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  delayMinutes,
+  londonHHMM,
+  londonLocalIso,
+  londonOffsetMinutes,
+  londonWallToUtc,
+  parseHHMM,
+  resolveDayHeading,
+  resolveLondonTime,
+} from "../docs/time.js";
+
+const iso = (ms) => new Date(ms).toISOString();
+
+test("HH:MM in and out", () => {
+  assert.deepEqual(parseHHMM(" 7:05 "), [7, 5]);
+  assert.equal(parseHHMM("24:00"), null);
+  assert.equal(parseHHMM("21:60"), null);
+  assert.equal(parseHHMM("Delayed 21:05"), null);
+
+  assert.equal(londonHHMM("2025-07-01T12:00:00Z"), "13:00");
+  assert.equal(londonHHMM("2025-11-02T12:00:00Z"), "12:00");
+  assert.equal(londonHHMM(""), "");
+  assert.equal(londonHHMM("soon"), "");
+  assert.equal(londonLocalIso("2025-07-01T23:30:05Z"), "2025-07-02T00:30:05");
+});
+
+test("London offset flips on the last Sundays of March and October", () => {
+  // 2025: BST from 30 March 01:00 UTC to 26 October 01:00 UTC
+  assert.equal(londonOffsetMinutes("2025-03-30T00:59:00Z"), 0);
+  assert.equal(londonOffsetMinutes("2025-03-30T01:00:00Z"), 60);
+  assert.equal(londonOffsetMinutes("2025-10-26T00:59:00Z"), 60);
+  assert.equal(londonOffsetMinutes("2025-10-26T01:00:00Z"), 0);
+});
+
+test("London wall clock to UTC, including the clock changes", () => {
+  const wall = (...args) => iso(londonWallToUtc(...args));
+  assert.equal(wall(2025, 6, 1, 14, 0), "2025-07-01T13:00:00.000Z");
+  assert.equal(wall(2025, 10, 2, 14, 0), "2025-11-02T14:00:00.000Z");
+  // 01:30 happens twice in October: the first (BST) one
+  assert.equal(wall(2025, 9, 26, 1, 30), "2025-10-26T00:30:00.000Z");
+  // and not at all in March: 02:30 BST
+  assert.equal(wall(2025, 2, 30, 1, 30), "2025-03-30T01:30:00.000Z");
+});
+
+test("a bare HH:MM resolves near the reference, across midnight", () => {
+  const ref = "2025-11-01T23:50:00Z";
+  const resolve = (hhmm) => iso(resolveLondonTime(hhmm, ref));
+  assert.equal(resolve("23:25"), "2025-11-01T23:25:00.000Z");
+  assert.equal(resolve("00:34"), "2025-11-02T00:34:00.000Z");
+  // landed up to 6 h ago, due up to 18 h ahead
+  assert.equal(resolve("18:00"), "2025-11-01T18:00:00.000Z");
+  assert.equal(resolve("17:00"), "2025-11-02T17:00:00.000Z");
+
+  // summer: BST
+  assert.equal(
+    iso(resolveLondonTime("14:00", "2025-07-01T12:00:00Z")),
+    "2025-07-01T13:00:00.000Z"
+  );
+  assert.equal(resolveLondonTime("soon", ref), null);
+  assert.equal(resolveLondonTime("14:00", ""), null);
+});
+
+test("repeated 01:xx on the October change: the nearer one", () => {
+  const first = resolveLondonTime("01:30", "2025-10-26T00:00:00Z");
+  assert.equal(iso(first), "2025-10-26T00:30:00.000Z");
+  const second = resolveLondonTime("01:30", "2025-10-26T01:20:00Z");
+  assert.equal(iso(second), "2025-10-26T01:30:00.000Z");
+});
+
+test("delay minutes over midnight and the clock change", () => {
+  assert.equal(delayMinutes("23:25", "2025-11-02T00:34:00Z"), 69);
+  assert.equal(delayMinutes("00:10", "2025-11-01T23:55:00Z"), -15);
+  // scheduled 00:30 BST, landed 01:10 GMT: 1 h 40 of real time
+  assert.equal(delayMinutes("00:30", "2025-10-26T01:10:00Z"), 100);
+  assert.equal(delayMinutes("21:00", null), null);
+  assert.equal(delayMinutes("", "2025-11-02T00:34:00Z"), null);
+});
+
+test("FR24 day headings take the nearest year", () => {
+  const ref = "2025-10-31T21:00Z";
+  assert.deepEqual(resolveDayHeading("Saturday, Nov 01", ref), {
+    year: 2025,
+    month: 10,
+    day: 1,
+  });
+  assert.equal(
+    resolveDayHeading("Wednesday, Dec 31", "2026-01-01T00:10Z").year,
+    2025
+  );
+  assert.equal(
+    resolveDayHeading("Thursday, Jan 01", "2025-12-31T23:50Z").year,
+    2026
+  );
+  assert.equal(resolveDayHeading("Nov 01", ref), null);
+  assert.equal(resolveDayHeading("Saturday, Foo 01", ref), null);
+});